@@ -0,0 +1,664 @@
+// ==================== APPOINTY ADAPTER ====================
+//
+// The original Mathnasium-on-Appointy layout: a two-step login, a My Bookings
+// page that loads bookings over XHR or renders cards like "Thu | Jan 08, 26",
+// and infinite scroll / "Load More" pagination.
+
+// Selectors and patterns an admin can override per source. Keys ending in
+// Pattern are regular expressions, matched case-insensitively, whose capture
+// groups are read by position; the others are CSS selectors, and arrays are
+// tried in order.
+const selectors = {
+  emailInputs: [
+    'input[type="email"]',
+    'input[name="email"]',
+    'input[name="identifier"]',
+    'input[name="username"]',
+    'input[name="login"]',
+    'input[name="user"]',
+    'input[id*="email" i]',
+    'input[id*="user" i]',
+    'input[id*="login" i]',
+    'input[placeholder*="email" i]',
+    'input[placeholder*="user" i]',
+    'input[autocomplete="email"]',
+    'input[autocomplete="username"]',
+    'input[type="text"]' // Last resort - first text input
+  ],
+  passwordInput: 'input[type="password"]',
+  submitButtons: [
+    'button[type="submit"]',
+    'input[type="submit"]',
+    'button[class*="submit" i]',
+    'button[class*="login" i]',
+    'button[class*="sign" i]',
+    'button[class*="btn" i]',
+    '[role="button"]',
+    'button'
+  ],
+  // Text of the button that submits the login form
+  submitTextPattern: 'sign|log|continu|submit|next',
+  // Clicked when no button text matches
+  fallbackSubmit: 'button',
+  // Verification step after the password (emailed or texted one-time code)
+  codeInput: 'input[autocomplete="one-time-code"], input[name*="code" i], input[id*="code" i], input[name*="otp" i], input[id*="otp" i]',
+  challengeTextPattern: 'verification code|one[- ]time (pass)?code|security code|enter (the|your)? ?code|verify (this|your) (device|identity|email)|two[- ]factor|2fa',
+  verifyTextPattern: 'verify|confirm|submit|continu|next|sign',
+  // Where the site explains a rejected login
+  loginErrorElements: '[role="alert"], .error, [class*="error" i], [class*="invalid" i]',
+  // The bookings page saying nothing is booked
+  emptyStatePattern: 'no (upcoming |future )?(bookings|appointments|sessions)|(don\'t|do not) have any (upcoming )?(bookings|appointments)|nothing (is )?(booked|scheduled)',
+  loadMoreButtons: 'button, [role="button"], a',
+  loadMoreTextPattern: 'load\\s*more|show\\s*more|view\\s*all|see\\s*all',
+  bookingElements: '[class*="booking"], [class*="appointment"], .card, article, tr, [class*="MuiCard"], [class*="session"]',
+  // "Thu | Jan 08, 26": weekday, month, day, year
+  cardDatePattern: '(\\w{3})\\s*\\|\\s*(\\w{3})\\s+(\\d{1,2}),\\s*(\\d{2,4})',
+  // "4:00pm": hour, minute, am/pm (a range is two of these around "-", "–" or "to")
+  timePattern: '(\\d{1,2}):(\\d{2})\\s*(am|pm)',
+  // Whole-page fallback: weekday, month, day, 2-digit year, status, hour, minute, am/pm
+  listPattern: '(\\w{3})\\s*\\|\\s*(\\w{3})\\s+(\\d{1,2}),\\s*(\\d{2})\\s*\\n?\\s*(Scheduled|Cancell?ed|Completed)\\s*\\n?\\s*(\\d{1,2}):(\\d{2})(am|pm)',
+  // Last resort, "Jan 08, 26" with a time within 200 characters: month, day, year
+  looseDatePattern: '(\\w{3})\\s+(\\d{1,2}),\\s*(\\d{2,4})'
+};
+
+export const appointyAdapter = {
+  id: 'appointy',
+  label: 'Appointy (Mathnasium layout)',
+  defaults: {
+    bookingUrl: 'https://mathnasium-booking.appointy.com/portlandme/my-bookings',
+    title: 'Mathnasium Session',
+    location: 'Mathnasium of Portland'
+  },
+  selectors,
+  waitForApp,
+  isLoginPage: page => isLoginUrl(page.url()),
+  login: performLogin,
+  openBookings,
+  loadMore,
+  loadAllBookings,
+  extractBookings: extractAppointments,
+  verificationChallenge,
+  enterVerificationCode,
+  loginError,
+  describeBookingsPage,
+  testSelectors
+};
+
+async function waitForApp(page) {
+  // Wait for page to render (SPA)
+  await page.waitForFunction(() => {
+    return !document.querySelector('.loader-container') && 
+           !document.querySelector('.spinner');
+  }, { timeout: 30000 }).catch(() => {
+    console.log('Loader may still be present, continuing...');
+  });
+}
+
+async function openBookings(page, source) {
+  // Navigate to my-bookings if needed
+  if (!page.url().includes('my-bookings')) {
+    console.log('Navigating to bookings page...');
+    await page.goto(source.appointyBookingUrl, { 
+      waitUntil: 'networkidle2',
+      timeout: 60000 
+    });
+  }
+}
+
+// One pagination step: whatever makes the page fetch its next batch
+async function loadMore(page, ctx) {
+  await clickLoadMore(page, ctx.selectors);
+  await scrollToBottom(page);
+  await pressScrollKeys(page);
+}
+
+// Page-text path: keep scrolling until no new booking dates appear
+async function loadAllBookings(page, ctx) {
+  // Try to wait for booking elements
+  await page.waitForSelector(ctx.selectors.bookingElements, { 
+    timeout: 15000 
+  }).catch(() => {
+    console.log('No booking selectors found, will try text extraction...');
+  });
+  
+  // Scroll to load all appointments (lazy loading with delay)
+  ctx.step('Scrolling to load all appointments...');
+  
+  // First check for "Load More" or similar buttons
+  const hasLoadMore = await page.evaluate(({ loadMoreButtons, loadMoreTextPattern }) => {
+    const buttons = Array.from(document.querySelectorAll(loadMoreButtons));
+    return buttons.some(b => new RegExp(loadMoreTextPattern, 'i').test(b.innerText));
+  }, ctx.selectors);
+  console.log('Has Load More button:', hasLoadMore);
+  
+  // Get the scrollable element - likely a MUI component
+  const scrollInfo = await page.evaluate(() => {
+    // Look for the actual list container
+    const listElements = document.querySelectorAll('[class*="MuiList"], [class*="list"], [class*="scroll"], [role="list"]');
+    const info = [];
+    listElements.forEach(el => {
+      info.push({
+        tag: el.tagName,
+        class: el.className.substring(0, 100),
+        scrollHeight: el.scrollHeight,
+        clientHeight: el.clientHeight,
+        scrollable: el.scrollHeight > el.clientHeight
+      });
+    });
+    return info;
+  });
+  console.log('Scrollable elements found:', JSON.stringify(scrollInfo).substring(0, 500));
+  
+  let previousCount = 0;
+  let noChangeCount = 0;
+  let scrollAttempts = 0;
+  const maxScrollAttempts = 50;
+  
+  while (scrollAttempts < maxScrollAttempts && noChangeCount < 5) {
+    await clickLoadMore(page, ctx.selectors);
+    await scrollToBottom(page);
+    
+    // Wait for content
+    await new Promise(r => setTimeout(r, 3500));
+    
+    // Count appointments by date pattern
+    const currentCount = await page.evaluate(cardDatePattern => {
+      const text = document.body.innerText;
+      const matches = text.match(new RegExp(cardDatePattern, 'gi'));
+      return matches ? matches.length : 0;
+    }, ctx.selectors.cardDatePattern);
+    
+    if (currentCount === previousCount) {
+      noChangeCount++;
+      console.log('No new appointments after scroll', scrollAttempts, '(count:', currentCount, ')');
+    } else {
+      noChangeCount = 0;
+      console.log('Appointments:', previousCount, '->', currentCount);
+    }
+    
+    previousCount = currentCount;
+    scrollAttempts++;
+    
+    await pressScrollKeys(page);
+  }
+  
+  ctx.step(`Finished scrolling, found ${previousCount} appointment dates`);
+  
+  // Scroll back to top
+  await page.evaluate(() => window.scrollTo(0, 0));
+  await new Promise(r => setTimeout(r, 1000));
+  
+  // Debug: Log page content
+  const pageText = await page.evaluate(() => document.body.innerText);
+  console.log('Page text length:', pageText.length, 'chars');
+}
+
+function isLoginUrl(url) {
+  return url.includes('login') || url.includes('sign-in');
+}
+
+// Click "Load More" if it exists
+async function clickLoadMore(page, selectors) {
+  const clickedLoadMore = await page.evaluate(({ loadMoreButtons, loadMoreTextPattern }) => {
+    const buttons = Array.from(document.querySelectorAll(loadMoreButtons));
+    const loadMore = buttons.find(b => new RegExp(loadMoreTextPattern, 'i').test(b.innerText));
+    if (loadMore) {
+      loadMore.click();
+      return true;
+    }
+    return false;
+  }, selectors);
+  
+  if (clickedLoadMore) {
+    console.log('Clicked Load More button');
+    await new Promise(r => setTimeout(r, 3000));
+  }
+  return clickedLoadMore;
+}
+
+// Scroll everything - window, body, and all scrollable containers
+async function scrollToBottom(page) {
+  await page.evaluate(() => {
+    // Scroll window
+    window.scrollTo(0, document.body.scrollHeight);
+    document.documentElement.scrollTop = document.documentElement.scrollHeight;
+    
+    // Find and scroll all potentially scrollable elements
+    const allElements = document.querySelectorAll('*');
+    allElements.forEach(el => {
+      const style = window.getComputedStyle(el);
+      if (style.overflowY === 'auto' || style.overflowY === 'scroll') {
+        el.scrollTop = el.scrollHeight;
+      }
+    });
+  });
+}
+
+// Also try pressing End key and Page Down
+async function pressScrollKeys(page) {
+  await page.keyboard.press('End');
+  await new Promise(r => setTimeout(r, 500));
+  await page.keyboard.press('PageDown');
+  await new Promise(r => setTimeout(r, 500));
+}
+
+
+async function performLogin(page, config, ctx) {
+  const { selectors } = ctx;
+  console.log('Performing login...');
+  
+  // Wait for React/Vue to render - wait for any input to appear
+  console.log('Waiting for login form to render...');
+  await page.waitForSelector('input, [contenteditable="true"]', { 
+    visible: true, 
+    timeout: 30000 
+  }).catch(() => console.log('Timeout waiting for input'));
+  
+  // Extra wait for SPA to fully render
+  await new Promise(r => setTimeout(r, 5000));
+  
+  // Debug page content
+  const pageContent = await page.content();
+  console.log('Page has', pageContent.length, 'chars');
+  
+  // Find any visible input fields
+  const allInputs = await page.$$eval('input', inputs => 
+    inputs.map(i => ({
+      type: i.type,
+      name: i.name,
+      id: i.id,
+      placeholder: i.placeholder,
+      className: i.className,
+      visible: i.offsetParent !== null
+    }))
+  ).catch(() => []);
+  console.log('Found inputs:', JSON.stringify(allInputs));
+  
+  let emailFilled = false;
+  for (const selector of selectors.emailInputs) {
+    try {
+      const el = await page.$(selector);
+      if (el) {
+        const isVisible = await el.isIntersectingViewport();
+        if (isVisible) {
+          await el.click({ clickCount: 3 });
+          await el.type(config.appointyEmail, { delay: 30 });
+          emailFilled = true;
+          console.log('Filled email with selector:', selector);
+          break;
+        }
+      }
+    } catch {}
+  }
+  
+  if (!emailFilled) {
+    // Try clicking any visible input
+    try {
+      await page.click('input:not([type="hidden"]):not([type="password"])');
+      await page.keyboard.type(config.appointyEmail, { delay: 30 });
+      emailFilled = true;
+      console.log('Filled email via keyboard');
+    } catch (e) {
+      console.log('Could not fill email:', e.message);
+    }
+  }
+  
+  // Find and fill password field
+  const passwordEl = await page.$(selectors.passwordInput);
+  if (passwordEl) {
+    await passwordEl.click({ clickCount: 3 });
+    await passwordEl.type(config.appointyPassword, { delay: 30 });
+    console.log('Filled password');
+  }
+  
+  // Click the submit button, recognised by its text
+  const submitText = new RegExp(selectors.submitTextPattern, 'i');
+  let clicked = false;
+  for (const selector of selectors.submitButtons) {
+    try {
+      const btns = await page.$$(selector);
+      for (const btn of btns) {
+        const isVisible = await btn.isIntersectingViewport().catch(() => false);
+        const text = await btn.evaluate(el => el.innerText || el.value || '').catch(() => '');
+        if (isVisible && submitText.test(text)) {
+          await btn.click();
+          clicked = true;
+          console.log('Clicked button:', text);
+          break;
+        }
+      }
+      if (clicked) break;
+    } catch {}
+  }
+  
+  if (!clicked && selectors.fallbackSubmit) {
+    // Just click the first matching button
+    try {
+      await page.click(selectors.fallbackSubmit);
+      console.log('Clicked fallback button:', selectors.fallbackSubmit);
+    } catch {}
+  }
+  
+  // Wait for navigation or network
+  await Promise.race([
+    page.waitForNavigation({ waitUntil: 'networkidle2', timeout: 20000 }),
+    new Promise(r => setTimeout(r, 20000))
+  ]).catch(() => {});
+  
+  console.log('After first submit, URL:', page.url());
+  
+  // Check if we need to enter password on second page
+  await new Promise(r => setTimeout(r, 2000));
+  const passwordVisible = await page.$(selectors.passwordInput);
+  if (passwordVisible) {
+    const isReallyVisible = await passwordVisible.isIntersectingViewport().catch(() => false);
+    if (isReallyVisible) {
+      console.log('Password field on second page...');
+      await passwordVisible.click({ clickCount: 3 });
+      await passwordVisible.type(config.appointyPassword, { delay: 30 });
+      
+      // Click submit again
+      for (const selector of selectors.submitButtons) {
+        try {
+          const btns = await page.$$(selector);
+          for (const btn of btns) {
+            const isVisible = await btn.isIntersectingViewport().catch(() => false);
+            if (isVisible) {
+              await btn.click();
+              break;
+            }
+          }
+        } catch {}
+      }
+      
+      await Promise.race([
+        page.waitForNavigation({ waitUntil: 'networkidle2', timeout: 20000 }),
+        new Promise(r => setTimeout(r, 20000))
+      ]).catch(() => {});
+    }
+  }
+  
+  console.log('Login completed, current URL:', page.url());
+}
+
+// Visible inputs a verification code goes into: one box, or one per digit
+async function codeInputs(page, selectors) {
+  const visible = [];
+  for (const el of await page.$$(selectors.codeInput).catch(() => [])) {
+    if (await el.isIntersectingViewport().catch(() => false)) visible.push(el);
+  }
+  if (visible.length) return visible;
+  
+  // A page that talks about a code but uses a plain input for it
+  const text = await page.evaluate(() => document.body.innerText).catch(() => '');
+  if (!new RegExp(selectors.challengeTextPattern, 'i').test(text)) return [];
+  for (const el of await page.$$('input:not([type="hidden"]):not([type="password"]):not([type="checkbox"])')) {
+    if (await el.isIntersectingViewport().catch(() => false)) return [el];
+  }
+  return [];
+}
+
+// After the password: a short description when the site asks for a
+// verification code, otherwise null
+async function verificationChallenge(page, ctx) {
+  const inputs = await codeInputs(page, ctx.selectors);
+  if (!inputs.length) return null;
+  
+  const text = await page.evaluate(() => document.body.innerText).catch(() => '');
+  const match = new RegExp(ctx.selectors.challengeTextPattern, 'i').exec(text);
+  return match ? match[0] : 'code input on the page';
+}
+
+async function enterVerificationCode(page, code, ctx) {
+  const { selectors } = ctx;
+  const inputs = await codeInputs(page, selectors);
+  if (!inputs.length) throw new Error('Verification page has no code input (check the codeInput selector)');
+  
+  const perDigit = inputs.length > 1 && (await Promise.all(inputs.map(el => el.evaluate(i => i.maxLength)))).every(max => max === 1);
+  if (perDigit) {
+    for (const [i, digit] of [...code].entries()) {
+      if (inputs[i]) await inputs[i].type(digit, { delay: 30 });
+    }
+  } else {
+    await inputs[0].click({ clickCount: 3 });
+    await inputs[0].type(code, { delay: 30 });
+  }
+  console.log('Entered verification code');
+  
+  const verifyText = new RegExp(selectors.verifyTextPattern, 'i');
+  let clicked = false;
+  for (const selector of selectors.submitButtons) {
+    for (const btn of await page.$$(selector).catch(() => [])) {
+      const isVisible = await btn.isIntersectingViewport().catch(() => false);
+      const text = await btn.evaluate(el => el.innerText || el.value || '').catch(() => '');
+      if (isVisible && verifyText.test(text)) {
+        await btn.click();
+        clicked = true;
+        console.log('Clicked button:', text);
+        break;
+      }
+    }
+    if (clicked) break;
+  }
+  if (!clicked) await page.keyboard.press('Enter');
+  
+  await Promise.race([
+    page.waitForNavigation({ waitUntil: 'networkidle2', timeout: 20000 }),
+    new Promise(r => setTimeout(r, 20000))
+  ]).catch(() => {});
+  console.log('After verification code, URL:', page.url());
+}
+
+// The site's explanation when it rejects the login, if it shows one
+async function loginError(page, ctx) {
+  return page.evaluate(selector => {
+    for (const el of document.querySelectorAll(selector)) {
+      const text = el.innerText?.trim();
+      if (text && el.offsetParent !== null) return text.substring(0, 200);
+    }
+    return null;
+  }, ctx.selectors.loginErrorElements).catch(() => null);
+}
+
+// Tells an account with nothing booked from a page we can no longer read
+async function describeBookingsPage(page, ctx) {
+  return page.evaluate(({ cardDatePattern, emptyStatePattern }) => {
+    const text = document.body.innerText;
+    const emptyState = new RegExp(emptyStatePattern, 'i').exec(text);
+    return {
+      bookingDates: (text.match(new RegExp(cardDatePattern, 'gi')) || []).length,
+      emptyState: emptyState ? emptyState[0] : null
+    };
+  }, ctx.selectors);
+}
+
+async function extractAppointments(page, ctx) {
+  return await page.evaluate(selectors => {
+    const results = [];
+    const bodyText = document.body.innerText;
+    const cardDatePattern = new RegExp(selectors.cardDatePattern, 'gi');
+    const time = selectors.timePattern;
+    
+    // Read the details printed on a single booking card
+    function parseCard(text) {
+      const lines = text.split('\n').map(l => l.trim()).filter(Boolean);
+      const dateMatch = new RegExp(selectors.cardDatePattern, 'i').exec(text);
+      const rangeMatch = new RegExp(`${time}\\s*(?:-|–|to)\\s*${time}`, 'i').exec(text);
+      const timeMatch = rangeMatch || new RegExp(time, 'i').exec(text);
+      if (!dateMatch || !timeMatch) return null;
+      
+      const statusMatch = /\b(scheduled|confirmed|cancell?ed|completed|no[- ]show|pending)\b/i.exec(text);
+      const minutesMatch = /\b(\d{1,3})\s*(?:min|mins|minutes)\b/i.exec(text);
+      const hoursMatch = /\b(\d(?:\.\d+)?)\s*(?:h|hr|hrs|hours?)\b/i.exec(text);
+      
+      let staff = null;
+      let student = null;
+      let location = null;
+      let service = null;
+      for (const line of lines) {
+        const staffMatch = /^(?:with|staff|provider|instructor|tutor|teacher)\s*:?\s+(.+)/i.exec(line);
+        const studentMatch = /^(?:student|for|client|attendee|child)\s*:?\s+(.+)/i.exec(line);
+        const locationMatch = /^(?:location|address|venue|at)\s*:?\s+(.+)/i.exec(line);
+        if (staffMatch) {
+          staff = staff || staffMatch[1];
+        } else if (studentMatch) {
+          student = student || studentMatch[1];
+        } else if (locationMatch) {
+          location = location || locationMatch[1];
+        } else if (/^\d+\s+\w+.*\b(st|street|ave|avenue|rd|road|blvd|dr|drive|ln|lane|way|ct|pl|hwy|pkwy|suite)\b/i.test(line)) {
+          location = location || line;
+        } else if (!service &&
+                   line.length >= 3 && line.length <= 80 &&
+                   !/\d{1,2}:\d{2}/.test(line) &&
+                   !/\w{3}\s*\|\s*\w{3}/.test(line) &&
+                   !/^(scheduled|confirmed|cancell?ed|completed|no[- ]show|pending)$/i.test(line) &&
+                   !/^\d+\s*(min|mins|minutes|h|hr|hrs|hours?)$/i.test(line) &&
+                   !/^(cancel|reschedule|book again|view|details|more|edit|join)\b/i.test(line)) {
+          service = line;
+        }
+      }
+      
+      return {
+        dayName: dateMatch[1],
+        month: dateMatch[2],
+        day: dateMatch[3],
+        year: dateMatch[4].length === 2 ? '20' + dateMatch[4] : dateMatch[4],
+        hour: timeMatch[1],
+        minute: timeMatch[2],
+        ampm: timeMatch[3],
+        endHour: rangeMatch ? rangeMatch[4] : null,
+        endMinute: rangeMatch ? rangeMatch[5] : null,
+        endAmpm: rangeMatch ? rangeMatch[6] : null,
+        durationMinutes: minutesMatch ? parseInt(minutesMatch[1]) :
+          hoursMatch ? Math.round(parseFloat(hoursMatch[1]) * 60) : null,
+        status: statusMatch ? statusMatch[1] : null,
+        service,
+        staff,
+        student,
+        location,
+        rawText: text.substring(0, 300)
+      };
+    }
+    
+    // Booking cards are the largest card-sized elements that contain exactly one
+    // booking date (the size limit keeps a one-booking page from matching <body>)
+    const candidates = new Set(Array.from(document.querySelectorAll('body *')).filter(el => {
+      const text = el.innerText || '';
+      const matches = text.match(cardDatePattern);
+      return matches && matches.length === 1 && text.length <= 600 && text.split('\n').length <= 20;
+    }));
+    for (const el of candidates) {
+      if (candidates.has(el.parentElement)) continue;
+      const card = parseCard(el.innerText);
+      if (card) results.push(card);
+    }
+    
+    // Pattern for Appointy format: "Thu | Jan 08, 26" followed by "4:00pm"
+    // Also handles: "Mon | Jan 12, 26" etc.
+    if (results.length === 0) {
+      const appointyPattern = new RegExp(selectors.listPattern, 'gi');
+      
+      let match;
+      while ((match = appointyPattern.exec(bodyText)) !== null) {
+        const [, dayName, month, day, year, status, hour, minute, ampm] = match;
+        results.push({
+          dayName,
+          month,
+          day,
+          year: '20' + year,
+          hour,
+          minute,
+          ampm,
+          status,
+          rawText: match[0]
+        });
+      }
+    }
+    
+    // If that didn't work, try simpler pattern
+    if (results.length === 0) {
+      // Look for "Jan 08, 26" or "Jan 12, 26" patterns
+      const datePattern = new RegExp(selectors.looseDatePattern, 'gi');
+      const timePattern = new RegExp(time, 'i');
+      
+      let dateMatch;
+      while ((dateMatch = datePattern.exec(bodyText)) !== null) {
+        const nearbyText = bodyText.substring(dateMatch.index, dateMatch.index + 200);
+        const timeMatch = timePattern.exec(nearbyText);
+        
+        if (timeMatch) {
+          let year = dateMatch[3];
+          if (year.length === 2) year = '20' + year;
+          
+          results.push({
+            month: dateMatch[1],
+            day: dateMatch[2],
+            year,
+            hour: timeMatch[1],
+            minute: timeMatch[2],
+            ampm: timeMatch[3],
+            rawText: nearbyText.substring(0, 100)
+          });
+        }
+      }
+    }
+    
+    console.log('Extracted', results.length, 'raw appointments');
+    return results;
+  }, ctx.selectors);
+}
+
+
+// For the admin panel's "Test selectors": how many elements (or text matches)
+// each selector and pattern finds on the current page, with the first one as a
+// sample, and the bookings that would be extracted from it
+async function testSelectors(page, ctx) {
+  const checks = await page.evaluate(selectors => {
+    const text = document.body.innerText;
+    
+    function sample(value) {
+      return value ? value.replace(/\s+/g, ' ').trim().substring(0, 150) : null;
+    }
+    
+    function selectorCheck(key, selector, textPattern) {
+      let elements;
+      try {
+        elements = Array.from(document.querySelectorAll(selector));
+      } catch {
+        return { key, value: selector, matches: 0, error: 'Invalid selector' };
+      }
+      if (textPattern) {
+        const pattern = new RegExp(textPattern, 'i');
+        elements = elements.filter(el => pattern.test(el.innerText || el.value || ''));
+      }
+      return { key, value: textPattern || selector, matches: elements.length, sample: sample(elements[0]?.outerHTML) };
+    }
+    
+    function patternCheck(key, pattern) {
+      const matches = text.match(new RegExp(pattern, 'gi')) || [];
+      return { key, value: pattern, matches: matches.length, sample: sample(matches[0]) };
+    }
+    
+    return [
+      ...selectors.emailInputs.map(selector => selectorCheck('emailInputs', selector)),
+      selectorCheck('passwordInput', selectors.passwordInput),
+      ...selectors.submitButtons.map(selector => selectorCheck('submitButtons', selector)),
+      selectorCheck('submitTextPattern', selectors.submitButtons.join(', '), selectors.submitTextPattern),
+      selectorCheck('fallbackSubmit', selectors.fallbackSubmit),
+      selectorCheck('codeInput', selectors.codeInput),
+      patternCheck('challengeTextPattern', selectors.challengeTextPattern),
+      selectorCheck('verifyTextPattern', selectors.submitButtons.join(', '), selectors.verifyTextPattern),
+      selectorCheck('loginErrorElements', selectors.loginErrorElements),
+      patternCheck('emptyStatePattern', selectors.emptyStatePattern),
+      selectorCheck('loadMoreButtons', selectors.loadMoreButtons),
+      selectorCheck('loadMoreTextPattern', selectors.loadMoreButtons, selectors.loadMoreTextPattern),
+      selectorCheck('bookingElements', selectors.bookingElements),
+      patternCheck('cardDatePattern', selectors.cardDatePattern),
+      patternCheck('timePattern', selectors.timePattern),
+      patternCheck('listPattern', selectors.listPattern),
+      patternCheck('looseDatePattern', selectors.looseDatePattern)
+    ];
+  }, ctx.selectors);
+  
+  return { checks, bookings: await extractAppointments(page, ctx) };
+}
@@ -0,0 +1,109 @@
+import { appointyAdapter } from './appointy.js';
+
+// ==================== SITE ADAPTERS ====================
+//
+// An adapter holds everything that differs between booking sites; the scraper
+// in src/scraper.js owns the browser, saved sessions, the bookings API capture
+// and run history, and calls these hooks in order:
+//
+//   waitForApp(page)                 let the single-page app finish rendering
+//   isLoginPage(page)                true while the site wants us to sign in
+//   login(page, source, ctx)         fill in and submit the login form
+//   openBookings(page, source, ctx)  make sure the bookings list is showing
+//   loadMore(page, ctx)              one pagination step (bookings API path)
+//   loadAllBookings(page, ctx)       load every booking for reading page text
+//   extractBookings(page, ctx)       read raw bookings from the page
+//   testSelectors(page, ctx)         report what each selector matches
+//
+// Sites that may ask for a one-time code after the password also provide
+//
+//   verificationChallenge(page, ctx)       what the page asks for, or null
+//   enterVerificationCode(page, code, ctx) type the code in and submit it
+//
+// and the scraper gets the code from src/verification.js in between.
+//
+// An empty result is only published when the site confirms it, so adapters
+// should also provide
+//
+//   loginError(page, ctx)            the site's message for a rejected login
+//   describeBookingsPage(page, ctx)  { bookingDates, emptyState }: how many
+//                                    booking dates the page text shows, and
+//                                    its "no bookings" message if present
+//
+// ctx.step(message) reports progress into the scrape's run history, and
+// ctx.selectors holds the adapter's selectors and patterns with the source's
+// overrides applied (see sourceSelectors). Optional apiUrlPattern narrows
+// which JSON responses are searched for bookings.
+//
+// Raw bookings are handed to parseAppointmentData(), so extractBookings must
+// return either the API shape ({ start, end?, durationMinutes?, ... }) or the
+// card shape ({ month: 'Jan', day, year, hour, minute, ampm, endHour?, ... }),
+// with optional bookingId, service, staff, student, location and status.
+//
+// defaults supply the booking URL offered for new sources and the title and
+// location used when a booking doesn't carry its own.
+//
+// To support another site, add a module next to appointy.js and list it below.
+
+const ADAPTERS = {
+  [appointyAdapter.id]: appointyAdapter
+};
+
+export const DEFAULT_ADAPTER = appointyAdapter.id;
+
+export function getAdapter(id) {
+  return ADAPTERS[id] || ADAPTERS[DEFAULT_ADAPTER];
+}
+
+export function listAdapters() {
+  return Object.values(ADAPTERS);
+}
+
+// Per-source overrides win over the adapter's own defaults
+export function sourceDefaults(source) {
+  const { defaults } = getAdapter(source.adapter);
+  return {
+    title: source.defaultTitle || defaults.title,
+    location: source.defaultLocation || defaults.location
+  };
+}
+
+// The adapter's selectors with the source's overrides on top. Overrides for
+// keys the adapter doesn't have (left over from another adapter) are ignored.
+export function sourceSelectors(source) {
+  const { selectors } = getAdapter(source.adapter);
+  const merged = { ...selectors };
+  for (const [key, value] of Object.entries(source.selectors || {})) {
+    if (key in selectors && value?.length) merged[key] = value;
+  }
+  return merged;
+}
+
+export function isPatternKey(key) {
+  return key.endsWith('Pattern');
+}
+
+// Overrides from the admin form: one selector per line for lists, blank for the
+// adapter's default. Throws on a pattern that isn't a valid regular expression.
+export function parseSelectorOverrides(source, fields) {
+  const { selectors } = getAdapter(source.adapter);
+  const overrides = {};
+  for (const [key, defaultValue] of Object.entries(selectors)) {
+    const raw = (fields[`selector_${key}`] || '').trim();
+    if (!raw) continue;
+    
+    if (Array.isArray(defaultValue)) {
+      overrides[key] = raw.split('\n').map(line => line.trim()).filter(Boolean);
+      continue;
+    }
+    if (isPatternKey(key)) {
+      try {
+        new RegExp(raw, 'i');
+      } catch (error) {
+        throw new Error(`${key}: ${error.message}`);
+      }
+    }
+    overrides[key] = raw;
+  }
+  return overrides;
+}
@@ -0,0 +1,178 @@
+// ==================== BOOKINGS API CAPTURE ====================
+//
+// The Appointy SPA loads bookings over XHR/fetch. Listening to those responses
+// gives structured data that doesn't depend on how the page renders it.
+
+const BOOKING_URL_PATTERN = /book|appoint|visit|reserv|schedul/i;
+
+// BOOKING_URL_PATTERN is loose enough to match every URL on an Appointy host,
+// which is fine for finding bookings (they have to look like bookings) but not
+// for believing an empty list. Only an empty bookings list from a bookings
+// endpoint says the account has nothing booked.
+const BOOKINGS_ENDPOINT_PATTERN = /\/(bookings?|appointments?|visits|reservations)\/?(\?|$)/i;
+const EMPTY_LIST_KEY_PATTERN = /^(bookings|appointments|visits|reservations)$/i;
+
+const FIELD_NAMES = {
+  id: ['bookingId', 'appointmentId', 'bookingRef', 'id', 'uuid'],
+  start: ['startDateTime', 'startTime', 'startAt', 'startsAt', 'start', 'bookingStartTime', 'appointmentStartTime', 'from', 'dateTime'],
+  end: ['endDateTime', 'endTime', 'endAt', 'endsAt', 'end', 'bookingEndTime', 'appointmentEndTime', 'to'],
+  duration: ['durationInMinutes', 'durationMinutes', 'duration', 'serviceDuration'],
+  service: ['serviceName', 'serviceTitle', 'service', 'className', 'sessionName', 'title', 'name'],
+  staff: ['staffName', 'staff', 'providerName', 'provider', 'teacherName', 'teacher', 'tutor', 'instructor', 'resourceName'],
+  student: ['studentName', 'student', 'childName', 'customerName', 'customer', 'clientName', 'client', 'attendeeName', 'memberName'],
+  location: ['locationName', 'location', 'address', 'venue', 'branchName', 'branch'],
+  status: ['bookingStatus', 'appointmentStatus', 'status', 'state']
+};
+
+function pick(obj, names) {
+  for (const name of names) {
+    if (obj[name] !== undefined && obj[name] !== null && obj[name] !== '') return obj[name];
+  }
+  return undefined;
+}
+
+// Turn a string, number or nested {name}-style object into display text
+function toText(value) {
+  if (value === undefined || value === null) return null;
+  if (typeof value === 'string') return value.trim() || null;
+  if (typeof value === 'number') return String(value);
+  if (Array.isArray(value)) return value.map(toText).filter(Boolean).join(', ') || null;
+  if (typeof value === 'object') {
+    const name = value.name || value.title || value.fullName || value.displayName ||
+      [value.firstName, value.lastName].filter(Boolean).join(' ') ||
+      value.address || value.label;
+    return toText(name);
+  }
+  return null;
+}
+
+// Date-times arrive as ISO strings or epoch seconds/milliseconds. Strings are
+// kept as sent so a missing UTC offset can be interpreted later.
+function toDateTime(value) {
+  if (typeof value === 'number') {
+    const date = new Date(value < 1e12 ? value * 1000 : value);
+    return isNaN(date.getTime()) ? null : date.toISOString();
+  }
+  if (typeof value === 'string' && /\d{1,2}:\d{2}/.test(value) && !isNaN(new Date(value).getTime())) {
+    return value;
+  }
+  return null;
+}
+
+function toRawBooking(obj) {
+  const start = toDateTime(pick(obj, FIELD_NAMES.start));
+  if (!start) return null;
+  
+  const duration = parseInt(pick(obj, FIELD_NAMES.duration));
+  const id = pick(obj, FIELD_NAMES.id);
+  
+  return {
+    bookingId: id !== undefined ? String(id) : null,
+    start,
+    end: toDateTime(pick(obj, FIELD_NAMES.end)),
+    durationMinutes: isNaN(duration) ? null : duration,
+    service: toText(pick(obj, FIELD_NAMES.service)),
+    staff: toText(pick(obj, FIELD_NAMES.staff)),
+    student: toText(pick(obj, FIELD_NAMES.student)),
+    location: toText(pick(obj, FIELD_NAMES.location)),
+    status: typeof pick(obj, FIELD_NAMES.status) === 'string' ? pick(obj, FIELD_NAMES.status) : null
+  };
+}
+
+// Walk a JSON payload and collect every object that looks like a booking
+export function findBookings(node, depth = 0) {
+  if (!node || typeof node !== 'object' || depth > 8) return [];
+  
+  if (Array.isArray(node)) {
+    const bookings = node.map(item => item && typeof item === 'object' && !Array.isArray(item) ? toRawBooking(item) : null);
+    if (bookings.some(Boolean)) return bookings.filter(Boolean);
+    return node.flatMap(item => findBookings(item, depth + 1));
+  }
+  
+  return Object.values(node).flatMap(value => findBookings(value, depth + 1));
+}
+
+// A payload holding an empty bookings list, e.g. { "bookings": [] }: the API's
+// way of saying nothing is booked. Generic names like data or items don't count.
+export function isEmptyBookingList(node, depth = 0) {
+  if (!node || typeof node !== 'object' || Array.isArray(node) || depth > 4) return false;
+  return Object.entries(node).some(([key, value]) => Array.isArray(value)
+    ? value.length === 0 && EMPTY_LIST_KEY_PATTERN.test(key)
+    : isEmptyBookingList(value, depth + 1));
+}
+
+export function isBookingsEndpoint(url) {
+  try {
+    return BOOKINGS_ENDPOINT_PATTERN.test(new URL(url).pathname);
+  } catch {
+    return false;
+  }
+}
+
+export function captureBookingResponses(page, urlPattern = BOOKING_URL_PATTERN) {
+  const payloads = [];
+  let emptyLists = 0;
+  let watchingEmptyLists = false;
+  let waiters = [];
+  
+  page.on('response', async response => {
+    const request = response.request();
+    if (!['xhr', 'fetch'].includes(request.resourceType())) return;
+    if (!response.ok() || !urlPattern.test(response.url())) return;
+    if (!(response.headers()['content-type'] || '').includes('json')) return;
+    
+    try {
+      const json = await response.json();
+      const bookings = findBookings(json);
+      if (bookings.length === 0) {
+        if (watchingEmptyLists && isBookingsEndpoint(response.url()) && isEmptyBookingList(json)) emptyLists++;
+        return;
+      }
+      payloads.push({ url: response.url(), bookings });
+      console.log(`Captured ${bookings.length} bookings from`, response.url());
+      waiters.forEach(resolve => resolve(true));
+      waiters = [];
+    } catch {
+      // Body is gone if the page navigated away before we read it
+    }
+  });
+  
+  function waitForPayload(timeout) {
+    return new Promise(resolve => {
+      waiters.push(resolve);
+      setTimeout(() => resolve(false), timeout);
+    });
+  }
+  
+  return {
+    // Resolves true as soon as any bookings payload has been seen
+    async waitForBookings(timeout) {
+      return payloads.length > 0 || await waitForPayload(timeout);
+    },
+    
+    // Resolves true if another payload arrives (e.g. the next lazy-loaded page)
+    waitForMore: waitForPayload,
+    
+    // Empty lists only count from here on, once the bookings page is open;
+    // responses during login say nothing about the bookings
+    watchForEmptyLists() {
+      watchingEmptyLists = true;
+      emptyLists = 0;
+    },
+    
+    // Whether the bookings endpoint answered with an empty bookings list
+    sawEmptyList() {
+      return emptyLists > 0;
+    },
+    
+    // All captured bookings, de-duplicated across overlapping payloads
+    bookings() {
+      const seen = new Map();
+      for (const booking of payloads.flatMap(p => p.bookings)) {
+        const key = booking.bookingId || `${booking.start}|${booking.service}`;
+        seen.set(key, booking);
+      }
+      return Array.from(seen.values());
+    }
+  };
+}
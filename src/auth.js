@@ -0,0 +1,140 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { DATA_DIR } from './config.js';
+
+// ==================== SESSIONS ====================
+
+// Admin sessions survive restarts in DATA_DIR/sessions.json. Only a hash of each
+// cookie value is written, so the file alone cannot be used to log in.
+const SESSIONS_FILE = path.join(DATA_DIR, 'sessions.json');
+export const SESSION_MAX_AGE_MS = 24 * 60 * 60 * 1000;
+
+const sessions = loadSessions();
+
+function sessionKey(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+function loadSessions() {
+  try {
+    if (fs.existsSync(SESSIONS_FILE)) {
+      return new Map(Object.entries(JSON.parse(fs.readFileSync(SESSIONS_FILE, 'utf8'))));
+    }
+  } catch (e) {
+    console.log('Could not read sessions:', e.message);
+  }
+  return new Map();
+}
+
+function saveSessions() {
+  const tmpFile = SESSIONS_FILE + '.tmp';
+  fs.writeFileSync(tmpFile, JSON.stringify(Object.fromEntries(sessions), null, 2), { mode: 0o600 });
+  fs.renameSync(tmpFile, SESSIONS_FILE);
+}
+
+export function pruneSessions() {
+  const now = Date.now();
+  let removed = 0;
+  for (const [key, session] of sessions) {
+    if (session.expiresAt <= now) {
+      sessions.delete(key);
+      removed++;
+    }
+  }
+  if (removed) saveSessions();
+  return removed;
+}
+
+export function createSession() {
+  pruneSessions();
+  const token = crypto.randomBytes(32).toString('hex');
+  const now = Date.now();
+  sessions.set(sessionKey(token), {
+    createdAt: now,
+    expiresAt: now + SESSION_MAX_AGE_MS,
+    csrf: crypto.randomBytes(24).toString('hex')
+  });
+  saveSessions();
+  return token;
+}
+
+// Returns the session for a cookie value, or null when unknown or expired
+export function getSession(token) {
+  if (!token) return null;
+  const key = sessionKey(token);
+  const session = sessions.get(key);
+  if (!session) return null;
+  if (session.expiresAt <= Date.now()) {
+    sessions.delete(key);
+    saveSessions();
+    return null;
+  }
+  return session;
+}
+
+export function destroySession(token) {
+  if (token && sessions.delete(sessionKey(token))) saveSessions();
+}
+
+export function destroyAllSessions() {
+  const count = sessions.size;
+  sessions.clear();
+  saveSessions();
+  return count;
+}
+
+// Drop expired sessions even when nobody logs in for a while
+setInterval(pruneSessions, 60 * 60 * 1000).unref();
+
+// ==================== CSRF ====================
+
+// Logged-in forms carry the session's token. The setup and login forms have no
+// session yet, so they use a random token that is also set as a cookie.
+export function csrfMatches(expected, submitted) {
+  if (!expected || typeof submitted !== 'string') return false;
+  const a = Buffer.from(expected);
+  const b = Buffer.from(submitted);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+export function newCsrfToken() {
+  return crypto.randomBytes(24).toString('hex');
+}
+
+// ==================== LOGIN THROTTLING ====================
+
+// After MAX_FAILURES wrong passwords from one address within the window, further
+// attempts are refused until the lockout ends. Each lockout doubles in length.
+const MAX_FAILURES = 5;
+const FAILURE_WINDOW_MS = 15 * 60 * 1000;
+const BASE_LOCKOUT_MS = 15 * 60 * 1000;
+const loginFailures = new Map();
+
+// Milliseconds until this address may try again (0 when allowed)
+export function loginBlockedFor(ip) {
+  const entry = loginFailures.get(ip);
+  if (!entry || !entry.lockedUntil) return 0;
+  return Math.max(0, entry.lockedUntil - Date.now());
+}
+
+export function recordLoginFailure(ip) {
+  const now = Date.now();
+  let entry = loginFailures.get(ip);
+  if (!entry || (now - entry.firstFailure > FAILURE_WINDOW_MS && !(entry.lockedUntil > now))) {
+    entry = { count: 0, firstFailure: now, lockouts: entry?.lockouts || 0, lockedUntil: 0 };
+  }
+  entry.count++;
+  if (entry.count >= MAX_FAILURES) {
+    entry.lockedUntil = now + BASE_LOCKOUT_MS * 2 ** entry.lockouts;
+    entry.lockouts++;
+    entry.count = 0;
+    entry.firstFailure = now;
+    console.log(`Admin login locked for ${ip} after repeated failures`);
+  }
+  loginFailures.set(ip, entry);
+}
+
+export function clearLoginFailures(ip) {
+  loginFailures.delete(ip);
+}
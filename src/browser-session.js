@@ -0,0 +1,74 @@
+import fs from 'fs';
+import path from 'path';
+import { DATA_DIR } from './config.js';
+
+// Cookies and localStorage from the last logged-in scrape of each source, so the
+// next run can skip the login form. These are live credentials: owner-only file.
+const SESSION_DIR = path.join(DATA_DIR, 'browser-sessions');
+
+function sessionFile(sourceId) {
+  return path.join(SESSION_DIR, `${sourceId}.json`);
+}
+
+export async function saveBrowserSession(page, sourceId) {
+  try {
+    const client = await page.createCDPSession();
+    const { cookies } = await client.send('Network.getAllCookies');
+    await client.detach();
+    
+    const origin = new URL(page.url()).origin;
+    const localStorage = await page.evaluate(() => Object.assign({}, window.localStorage));
+    
+    fs.mkdirSync(SESSION_DIR, { recursive: true });
+    fs.writeFileSync(sessionFile(sourceId), JSON.stringify({
+      savedAt: Date.now(),
+      cookies,
+      localStorage: { [origin]: localStorage }
+    }), { mode: 0o600 });
+    console.log(`Saved browser session (${cookies.length} cookies)`);
+  } catch (e) {
+    console.log('Could not save browser session:', e.message);
+  }
+}
+
+// Load a saved session into the page before its first navigation.
+// Returns false when there is nothing to restore.
+export async function restoreBrowserSession(page, sourceId) {
+  let session;
+  try {
+    if (!fs.existsSync(sessionFile(sourceId))) return false;
+    session = JSON.parse(fs.readFileSync(sessionFile(sourceId), 'utf8'));
+  } catch (e) {
+    console.log('Could not read browser session:', e.message);
+    return false;
+  }
+  
+  const now = Date.now() / 1000;
+  const cookies = (session.cookies || []).filter(c => c.session || !c.expires || c.expires < 0 || c.expires > now);
+  try {
+    if (cookies.length) await page.setCookie(...cookies);
+    
+    // localStorage can only be written from a page on its origin, so seed it
+    // before the app's own scripts run on each new document
+    await page.evaluateOnNewDocument(storage => {
+      const items = storage[window.location.origin];
+      if (!items) return;
+      for (const [key, value] of Object.entries(items)) {
+        if (window.localStorage.getItem(key) === null) window.localStorage.setItem(key, value);
+      }
+    }, session.localStorage || {});
+  } catch (e) {
+    // A session the browser won't take back (e.g. partitioned cookies) would
+    // fail every run; drop it and log in normally instead
+    console.log('Could not restore browser session, logging in again:', e.message);
+    clearBrowserSession(sourceId);
+    return false;
+  }
+  
+  console.log(`Restored browser session from ${new Date(session.savedAt).toISOString()}`);
+  return true;
+}
+
+export function clearBrowserSession(sourceId) {
+  fs.rmSync(sessionFile(sourceId), { force: true });
+}
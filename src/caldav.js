@@ -0,0 +1,131 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { DATA_DIR, loadConfig } from './config.js';
+import { loadFeedAppointments, generateICS } from './feed.js';
+
+// ==================== CALDAV PUSH ====================
+//
+// Optionally writes each source's bookings into a CalDAV collection (Nextcloud,
+// Radicale, iCloud, ...) so they show up without waiting for a feed refresh.
+// One resource per booking, named after its UID. What was pushed is remembered
+// per source so only changed events are re-uploaded and dropped ones deleted.
+
+function stateFile(sourceId) {
+  return path.join(DATA_DIR, `caldav-${sourceId}.json`);
+}
+
+function loadState(sourceId) {
+  try {
+    return JSON.parse(fs.readFileSync(stateFile(sourceId), 'utf8'));
+  } catch {
+    return { url: null, events: {} };
+  }
+}
+
+function saveState(sourceId, state) {
+  fs.writeFileSync(stateFile(sourceId), JSON.stringify(state, null, 2));
+}
+
+export function clearCalDAVState(sourceId) {
+  fs.rmSync(stateFile(sourceId), { force: true });
+}
+
+export function isCalDAVConfigured(source) {
+  return !!source.caldav?.url;
+}
+
+function collectionUrl(settings) {
+  return settings.url.endsWith('/') ? settings.url : settings.url + '/';
+}
+
+function resourceUrl(settings, uid) {
+  const name = uid.replace(/@.*$/, '').replace(/[^\w-]/g, '_');
+  return new URL(`${name}.ics`, collectionUrl(settings)).href;
+}
+
+async function request(settings, method, url, { headers = {}, body } = {}) {
+  if (settings.username) {
+    headers.Authorization = 'Basic ' + Buffer.from(`${settings.username}:${settings.password || ''}`).toString('base64');
+  }
+  return fetch(url, { method, headers, body, signal: AbortSignal.timeout(30000) });
+}
+
+// DTSTAMP follows the booking's updatedAt, but bookings stored before that was
+// tracked get the time of the render; leave it out so those aren't re-uploaded
+// on every sync
+function contentHash(ics) {
+  return crypto.createHash('sha1').update(ics.replace(/^DTSTAMP:.*$/m, '')).digest('hex');
+}
+
+// Check that the collection exists and the credentials are accepted
+export async function testCalDAV(settings) {
+  const response = await request(settings, 'PROPFIND', collectionUrl(settings), {
+    headers: { Depth: '0', 'Content-Type': 'application/xml; charset=utf-8' },
+    body: '<?xml version="1.0" encoding="utf-8"?><d:propfind xmlns:d="DAV:"><d:prop><d:resourcetype/><d:displayname/></d:prop></d:propfind>'
+  });
+  if (response.status !== 207) {
+    throw new Error(`PROPFIND returned ${response.status} ${response.statusText}`);
+  }
+}
+
+// Push the stored appointments of one source to its CalDAV collection
+export async function syncToCalDAV(source) {
+  const settings = source.caldav;
+  if (!settings?.url) return null;
+  
+  const config = loadConfig();
+  let state = loadState(source.id);
+  // A different collection starts from scratch; the old one is left alone
+  if (state.url !== settings.url) state = { url: settings.url, events: {} };
+  
+  const options = { name: source.calendarName, timezone: source.timezone, events: config.events };
+  const appointments = loadFeedAppointments([source]);
+  const result = { created: 0, updated: 0, deleted: 0, failed: 0 };
+  const seen = new Set();
+  
+  for (const apt of appointments) {
+    seen.add(apt.uid);
+    const ics = generateICS([apt], options);
+    const hash = contentHash(ics);
+    const known = state.events[apt.uid];
+    if (known && known.hash === hash) continue;
+    
+    const url = known?.url || resourceUrl(settings, apt.uid);
+    const response = await request(settings, 'PUT', url, {
+      headers: { 'Content-Type': 'text/calendar; charset=utf-8', ...(known ? {} : { 'If-None-Match': '*' }) },
+      body: ics
+    }).catch(error => ({ ok: false, status: 0, statusText: error.message }));
+    
+    // 412 on create: the event is already there (e.g. state was lost) - overwrite it
+    const retried = response.status === 412 && !known
+      ? await request(settings, 'PUT', url, { headers: { 'Content-Type': 'text/calendar; charset=utf-8' }, body: ics })
+        .catch(error => ({ ok: false, status: 0, statusText: error.message }))
+      : response;
+    
+    if (retried.ok) {
+      state.events[apt.uid] = { url, hash };
+      known ? result.updated++ : result.created++;
+    } else {
+      console.error(`CalDAV PUT ${url} failed:`, retried.status, retried.statusText);
+      result.failed++;
+    }
+  }
+  
+  for (const [uid, known] of Object.entries(state.events)) {
+    if (seen.has(uid)) continue;
+    const response = await request(settings, 'DELETE', known.url)
+      .catch(error => ({ ok: false, status: 0, statusText: error.message }));
+    if (response.ok || response.status === 404) {
+      delete state.events[uid];
+      result.deleted++;
+    } else {
+      console.error(`CalDAV DELETE ${known.url} failed:`, response.status, response.statusText);
+      result.failed++;
+    }
+  }
+  
+  saveState(source.id, state);
+  console.log(`CalDAV sync for "${source.calendarName}":`, JSON.stringify(result));
+  return result;
+}
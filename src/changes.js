@@ -0,0 +1,139 @@
+import crypto from 'crypto';
+
+// ==================== BOOKING IDENTITY & CHANGE TRACKING ====================
+//
+// Each booking keeps one UID for its whole life so calendar clients update the
+// event in place (and keep the user's notes) instead of replacing it.
+
+const DEFAULT_GRACE_DAYS = 14;
+
+function hash(value) {
+  return crypto.createHash('sha1').update(value).digest('hex').substring(0, 32);
+}
+
+function newUid(sourceId, apt) {
+  const identity = apt.bookingId
+    ? `booking:${apt.bookingId}`
+    : `slot:${apt.start.toISOString()}|${apt.service || apt.title}`;
+  return `${hash(`${sourceId}|${identity}`)}@appointy-calendar-sync`;
+}
+
+function sameSlot(a, b) {
+  return a.start.getTime() === b.start.getTime() && (a.service || a.title) === (b.service || b.title);
+}
+
+function timeChanged(a, b) {
+  return a.start.getTime() !== b.start.getTime() || a.end.getTime() !== b.end.getTime();
+}
+
+function detailsChanged(a, b) {
+  return ['title', 'service', 'staff', 'student', 'location', 'status'].some(field => (a[field] || null) !== (b[field] || null));
+}
+
+// Pair each scraped appointment with the stored one it continues. Bookings with
+// an ID match by ID first. The rest match by slot, whichever side has an ID,
+// since one run may read the bookings API and the next only the page text.
+// A leftover stored booking with the same service is then taken to be the one
+// a page-text booking was rescheduled from.
+function matchAppointments(previous, scraped) {
+  const pairs = new Map();
+  const unmatched = new Set(previous);
+  const pair = (apt, match) => {
+    if (!match) return;
+    pairs.set(apt, match);
+    unmatched.delete(match);
+  };
+  
+  for (const apt of scraped) {
+    if (apt.bookingId) pair(apt, previous.find(p => unmatched.has(p) && p.bookingId === apt.bookingId));
+  }
+  for (const apt of scraped) {
+    if (pairs.has(apt)) continue;
+    // Two different IDs are two different bookings, even in the same slot
+    pair(apt, previous.find(p => unmatched.has(p) && !(p.bookingId && apt.bookingId) && sameSlot(p, apt)));
+  }
+  
+  const now = Date.now();
+  for (const apt of scraped) {
+    if (pairs.has(apt) || apt.bookingId) continue;
+    const candidates = Array.from(unmatched)
+      .filter(p => p.status !== 'cancelled' && p.end.getTime() > now &&
+        (p.service || p.title) === (apt.service || apt.title))
+      .sort((a, b) => Math.abs(a.start - apt.start) - Math.abs(b.start - apt.start));
+    if (candidates.length) pair(apt, candidates[0]);
+  }
+  
+  return { pairs, unmatched };
+}
+
+// Merge a fresh scrape into the stored appointments of one source. Returns the
+// appointments to store plus what changed since the previous scrape.
+export function mergeAppointments(sourceId, previous, scraped, options = {}) {
+  const graceMs = (options.graceDays ?? DEFAULT_GRACE_DAYS) * 24 * 60 * 60 * 1000;
+  const now = Date.now();
+  const { pairs, unmatched } = matchAppointments(previous, scraped);
+  const changes = { added: [], rescheduled: [], updated: [], cancelled: [] };
+  const appointments = [];
+  
+  for (const apt of scraped) {
+    const old = pairs.get(apt);
+    
+    if (!old) {
+      const created = { ...apt, uid: newUid(sourceId, apt), sequence: 0, firstSeenAt: now, updatedAt: now };
+      if (created.status === 'cancelled') created.cancelledAt = now;
+      appointments.push(created);
+      changes.added.push(created);
+      continue;
+    }
+    
+    const merged = {
+      ...apt,
+      // Page text doesn't show the ID; keep the one the bookings API gave
+      bookingId: apt.bookingId || old.bookingId || null,
+      uid: old.uid || newUid(sourceId, old),
+      sequence: old.sequence || 0,
+      firstSeenAt: old.firstSeenAt || now,
+      updatedAt: old.updatedAt || old.firstSeenAt || now,
+      previousStart: old.previousStart || null,
+      cancelledAt: apt.status === 'cancelled' ? (old.cancelledAt || now) : null
+    };
+    
+    if (timeChanged(old, apt)) {
+      merged.sequence++;
+      merged.updatedAt = now;
+      merged.previousStart = old.start.toISOString();
+      changes.rescheduled.push({ ...merged, from: old });
+    } else if (detailsChanged(old, apt)) {
+      merged.sequence++;
+      merged.updatedAt = now;
+      if (apt.status === 'cancelled' && old.status !== 'cancelled') {
+        changes.cancelled.push(merged);
+      } else {
+        changes.updated.push({ ...merged, from: old });
+      }
+    }
+    appointments.push(merged);
+  }
+  
+  for (const old of unmatched) {
+    if (old.status === 'cancelled') {
+      // Already announced as cancelled; keep it until the grace period is over
+      if (now - (old.cancelledAt || now) < graceMs) appointments.push(old);
+    } else if (old.end.getTime() > now) {
+      // An upcoming booking vanished from the page: it was cancelled
+      const cancelled = { ...old, status: 'cancelled', cancelledAt: now, updatedAt: now, sequence: (old.sequence || 0) + 1 };
+      appointments.push(cancelled);
+      changes.cancelled.push(cancelled);
+    } else if (now - old.end.getTime() < graceMs) {
+      // Past bookings drop off the "upcoming" list; keep them around for a while
+      appointments.push(old);
+    }
+  }
+  
+  appointments.sort((a, b) => a.start - b.start);
+  return { appointments, changes };
+}
+
+export function hasChanges(changes) {
+  return Object.values(changes).some(list => list.length > 0);
+}
@@ -0,0 +1,156 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { IANAZone } from 'luxon';
+import { hashPassword, isPasswordHash, encryptSecret, decryptSecret, isEncrypted } from './secrets.js';
+import { getAdapter, DEFAULT_ADAPTER } from './adapters/index.js';
+
+export const DATA_DIR = process.env.DATA_DIR || './data';
+const CONFIG_FILE = path.join(DATA_DIR, 'config.json');
+
+export const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || 'America/New_York';
+
+// Ensure data directory exists
+if (!fs.existsSync(DATA_DIR)) {
+  fs.mkdirSync(DATA_DIR, { recursive: true });
+}
+
+// Config management. A config file that exists but can't be read (truncated,
+// or its secrets can't be decrypted) comes back empty with loadError set, so
+// the admin panel can refuse to treat it as a fresh install.
+export function loadConfig() {
+  if (!fs.existsSync(CONFIG_FILE)) return { sources: [] };
+  try {
+    const config = migrateConfig(JSON.parse(fs.readFileSync(CONFIG_FILE, 'utf8')));
+    return mapSecrets(config, value => decryptSecret(value, DATA_DIR));
+  } catch (e) {
+    console.error(`Could not read ${CONFIG_FILE}:`, e.message);
+    return { sources: [], loadError: e.message };
+  }
+}
+
+// Secrets are encrypted on the way to disk; the config in memory holds plaintext
+export function saveConfig(config) {
+  const stored = mapSecrets(config, value => encryptSecret(value, DATA_DIR));
+  fs.writeFileSync(CONFIG_FILE + '.tmp', JSON.stringify(stored, null, 2), { mode: 0o600 });
+  fs.chmodSync(CONFIG_FILE + '.tmp', 0o600);
+  fs.renameSync(CONFIG_FILE + '.tmp', CONFIG_FILE);
+}
+
+// When the settings were last saved. Feeds render with the event templates,
+// reminders and calendar names, so their Last-Modified has to follow this too.
+export function configChangedAt() {
+  try {
+    return fs.statSync(CONFIG_FILE).mtimeMs;
+  } catch {
+    return 0;
+  }
+}
+
+// Every credential the app needs to read back, as [object, key] pairs
+function secretFields(config) {
+  const fields = [];
+  for (const source of config.sources || []) {
+    fields.push([source, 'appointyPassword']);
+    if (source.caldav) fields.push([source.caldav, 'password']);
+    if (source.verification) fields.push([source.verification, 'totpSecret']);
+    if (source.verification?.imap) fields.push([source.verification.imap, 'password']);
+  }
+  if (config.notifications) {
+    for (const key of ['ntfyToken', 'gotifyToken', 'smtpPassword']) {
+      fields.push([config.notifications, key]);
+    }
+  }
+  return fields;
+}
+
+function mapSecrets(config, transform) {
+  const copy = structuredClone(config);
+  for (const [owner, key] of secretFields(copy)) {
+    if (owner[key]) owner[key] = transform(owner[key]);
+  }
+  return copy;
+}
+
+// Bring older configs up to the current shape and persist the result
+function migrateConfig(config) {
+  let changed = false;
+  
+  // Older configs held a single Appointy account at the top level. Move it into
+  // the sources list, keeping its calendar token so existing subscriptions work.
+  if (!Array.isArray(config.sources)) {
+    const { appointyEmail, appointyPassword, appointyBookingUrl, calendarName, calendarToken, ...rest } = config;
+    config = { ...rest, sources: [] };
+    
+    if (appointyEmail) {
+      const source = createSource({ appointyEmail, appointyPassword, appointyBookingUrl, calendarName });
+      if (calendarToken) source.calendarToken = calendarToken;
+      config.sources.push(source);
+      
+      // Keep the appointments scraped for the old single account
+      const legacyStore = path.join(DATA_DIR, 'appointments.json');
+      if (fs.existsSync(legacyStore)) {
+        fs.renameSync(legacyStore, path.join(DATA_DIR, `appointments-${source.id}.json`));
+      }
+      console.log('Migrated single-account config to source', source.id);
+    }
+    changed = true;
+  }
+  
+  // Plaintext admin passwords from before hashing
+  if (config.adminPassword) {
+    const { adminPassword, ...rest } = config;
+    config = { ...rest, adminPasswordHash: isPasswordHash(adminPassword) ? adminPassword : hashPassword(adminPassword) };
+    console.log('Hashed stored admin password');
+    changed = true;
+  }
+  
+  // Plaintext credentials get encrypted by saveConfig
+  if (secretFields(config).some(([owner, key]) => owner[key] && !isEncrypted(owner[key]))) {
+    console.log('Encrypting stored credentials');
+    changed = true;
+  }
+  
+  // Token for the feed that merges every source
+  if (config.adminPasswordHash && !config.mergedCalendarToken) {
+    config.mergedCalendarToken = generateToken();
+    changed = true;
+  }
+  
+  if (changed) saveConfig(config);
+  return config;
+}
+
+export function generateToken() {
+  return crypto.randomBytes(24).toString('hex');
+}
+
+// A source is one booking-site account with its own calendar feed; adapter
+// names the site layout it is scraped with (see src/adapters/index.js)
+export function createSource(fields = {}) {
+  const adapter = getAdapter(fields.adapter || DEFAULT_ADAPTER);
+  return {
+    id: crypto.randomBytes(6).toString('hex'),
+    calendarName: fields.calendarName || 'Mathnasium Appointments',
+    adapter: adapter.id,
+    appointyEmail: fields.appointyEmail || '',
+    appointyPassword: fields.appointyPassword || '',
+    appointyBookingUrl: fields.appointyBookingUrl || adapter.defaults.bookingUrl,
+    defaultTitle: fields.defaultTitle || '',
+    defaultLocation: fields.defaultLocation || '',
+    timezone: isValidTimezone(fields.timezone) ? fields.timezone : DEFAULT_TIMEZONE,
+    calendarToken: generateToken()
+  };
+}
+
+export function isValidTimezone(name) {
+  return !!name && IANAZone.isValidZone(name);
+}
+
+export function findSource(config, id) {
+  return config.sources.find(s => s.id === id);
+}
+
+export function findSourceByToken(config, token) {
+  return config.sources.find(s => s.calendarToken && s.calendarToken === token);
+}
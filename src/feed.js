@@ -0,0 +1,252 @@
+import ical, { ICalEventStatus } from 'ical-generator';
+import { getVtimezoneComponent } from '@touch4it/ical-timezones';
+import { DateTime } from 'luxon';
+import { findSource, findSourceByToken, DEFAULT_TIMEZONE } from './config.js';
+import { findFeedToken, primaryAccessKey, MERGED_FEED } from './tokens.js';
+import { loadStore } from './store.js';
+import { sourceDefaults } from './adapters/index.js';
+
+// ==================== FEED SELECTION & FILTERS ====================
+
+function sourceFeed(source, accessKey) {
+  return { name: source.calendarName, sources: [source], merged: false, timezone: source.timezone || DEFAULT_TIMEZONE, accessKey };
+}
+
+function mergedFeed(config, accessKey) {
+  return {
+    name: config.mergedCalendarName || 'All Appointments',
+    sources: config.sources,
+    merged: true,
+    timezone: config.sources[0]?.timezone || DEFAULT_TIMEZONE,
+    accessKey
+  };
+}
+
+// A token is either a feed's own (one source, or the merged feed of all sources)
+// or an active subscriber token for one of them. accessKey identifies it in the
+// token access log.
+export function resolveFeed(config, token) {
+  const source = findSourceByToken(config, token);
+  if (source) {
+    return sourceFeed(source, primaryAccessKey(source.id));
+  }
+  if (config.mergedCalendarToken && token === config.mergedCalendarToken) {
+    return mergedFeed(config, primaryAccessKey(MERGED_FEED));
+  }
+  
+  const subscriber = findFeedToken(config, token);
+  if (subscriber?.feed === MERGED_FEED) {
+    return mergedFeed(config, subscriber.id);
+  }
+  const subscribedSource = subscriber && findSource(config, subscriber.feed);
+  if (subscribedSource) {
+    return sourceFeed(subscribedSource, subscriber.id);
+  }
+  return null;
+}
+
+// Dates and times without an offset are read in the feed's timezone. A bare
+// date covers the whole day: from its start for ?from, to its end for ?to, so
+// ?to=2026-06-30 still includes everything on June 30.
+function parseDateParam(value, name, zone) {
+  const parsed = DateTime.fromISO(String(value), { zone });
+  if (parsed.isValid) {
+    const dateOnly = /^\d{4}-\d{2}-\d{2}$/.test(value);
+    if (!dateOnly) return parsed.toJSDate();
+    return (name === 'to' ? parsed.endOf('day') : parsed.startOf('day')).toJSDate();
+  }
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    throw new Error(`Invalid ${name} date: ${value}`);
+  }
+  return date;
+}
+
+function listParam(value) {
+  return String(value).split(',').map(v => v.trim().toLowerCase()).filter(Boolean);
+}
+
+// Query filters: ?source=<id or name>[,...]  ?from=<date>  ?to=<date>  ?status=<status>[,...]
+// Throws on values that can't be understood so callers can answer 400.
+export function parseFeedFilters(query, sources, timezone = DEFAULT_TIMEZONE) {
+  const filters = { sources, from: null, to: null, statuses: null };
+  
+  if (query.source) {
+    const wanted = listParam(query.source);
+    filters.sources = sources.filter(s =>
+      wanted.includes(s.id.toLowerCase()) || wanted.includes(s.calendarName.toLowerCase())
+    );
+    if (filters.sources.length === 0) {
+      throw new Error(`Unknown source: ${query.source}`);
+    }
+  }
+  
+  if (query.from) filters.from = parseDateParam(query.from, 'from', timezone);
+  if (query.to) filters.to = parseDateParam(query.to, 'to', timezone);
+  if (query.status) filters.statuses = listParam(query.status);
+  
+  return filters;
+}
+
+// Stored appointments of the given sources, each tagged with where it came from
+export function loadFeedAppointments(sources) {
+  const appointments = [];
+  for (const source of sources) {
+    for (const apt of loadStore(source.id).appointments) {
+      appointments.push({
+        ...apt,
+        sourceId: source.id,
+        sourceName: source.calendarName,
+        timezone: source.timezone || DEFAULT_TIMEZONE,
+        defaultLocation: sourceDefaults(source).location
+      });
+    }
+  }
+  return appointments.sort((a, b) => a.start - b.start);
+}
+
+export function filterAppointments(appointments, filters) {
+  return appointments.filter(apt => {
+    if (filters.from && apt.end < filters.from) return false;
+    if (filters.to && apt.start > filters.to) return false;
+    if (filters.statuses && !filters.statuses.includes((apt.status || 'scheduled').toLowerCase())) return false;
+    return true;
+  });
+}
+
+// ==================== EVENT DETAILS ====================
+
+const EVENT_STATUS = {
+  scheduled: ICalEventStatus.CONFIRMED,
+  completed: ICalEventStatus.CONFIRMED,
+  pending: ICalEventStatus.TENTATIVE,
+  cancelled: ICalEventStatus.CANCELLED
+};
+
+function describeAppointment(apt) {
+  return [
+    apt.service && `Service: ${apt.service}`,
+    apt.student && `Student: ${apt.student}`,
+    apt.staff && `Staff: ${apt.staff}`,
+    apt.location && `Location: ${apt.location}`,
+    apt.status && `Status: ${apt.status.charAt(0).toUpperCase()}${apt.status.slice(1)}`,
+    apt.previousStart && `Rescheduled from: ${new Date(apt.previousStart).toLocaleString('en-US', { dateStyle: 'medium', timeStyle: 'short', timeZone: apt.timezone })}`,
+    apt.sourceName && `Account: ${apt.sourceName}`
+  ].filter(Boolean).join('\n');
+}
+
+// ==================== EVENT TEMPLATES & ALARMS ====================
+
+export const DEFAULT_EVENT_SETTINGS = {
+  summaryTemplate: '{title}',
+  descriptionTemplate: '',
+  alarmMinutes: [60],
+  travelMinutes: 0
+};
+
+// Fill {placeholder}s from the appointment; unknown placeholders are left alone
+export function renderTemplate(template, apt) {
+  const values = {
+    title: apt.title,
+    service: apt.service,
+    staff: apt.staff,
+    student: apt.student,
+    location: apt.location,
+    status: apt.status,
+    account: apt.sourceName
+  };
+  return template.replace(/\{(\w+)\}/g, (match, key) => key in values ? (values[key] || '') : match);
+}
+
+// "1d, 30m, 1h30m, 90" -> [1440, 30, 90, 90]; bare numbers are minutes
+export function parseAlarmOffsets(text) {
+  return String(text || '').split(',').map(part => part.trim()).filter(Boolean).map(part => {
+    if (/^\d+$/.test(part)) return parseInt(part);
+    const units = { d: 1440, h: 60, m: 1 };
+    const matches = Array.from(part.toLowerCase().matchAll(/(\d+)\s*([dhm])/g));
+    if (matches.length === 0 || matches.map(m => m[0]).join('').replace(/\s/g, '') !== part.toLowerCase().replace(/\s/g, '')) {
+      throw new Error(`Invalid alarm offset: ${part}`);
+    }
+    return matches.reduce((total, m) => total + parseInt(m[1]) * units[m[2]], 0);
+  });
+}
+
+export function formatAlarmOffsets(minutes) {
+  return minutes.map(total => {
+    if (total === 0) return '0m';
+    const parts = [];
+    if (total >= 1440) { parts.push(`${Math.floor(total / 1440)}d`); total %= 1440; }
+    if (total >= 60) { parts.push(`${Math.floor(total / 60)}h`); total %= 60; }
+    if (total > 0) parts.push(`${total}m`);
+    return parts.join('');
+  }).join(', ');
+}
+
+function eventSummary(apt, settings) {
+  const summary = renderTemplate(settings.summaryTemplate || '{title}', apt)
+    .replace(/\(\s*\)|\[\s*\]/g, '')
+    .replace(/\s{2,}/g, ' ')
+    .trim() || apt.title;
+  return apt.status === 'cancelled' ? `Cancelled: ${summary}` : summary;
+}
+
+function eventDescription(apt, settings) {
+  if (!settings.descriptionTemplate) return describeAppointment(apt);
+  // Drop lines whose placeholders were all empty, e.g. "Staff: " with no staff
+  return renderTemplate(settings.descriptionTemplate.replace(/\r\n/g, '\n'), apt)
+    .split('\n')
+    .filter(line => !/^[^:]*:\s*$/.test(line))
+    .join('\n')
+    .trim();
+}
+
+// ==================== ICS OUTPUT ====================
+
+// Events are written as wall-clock times in their source's zone with a matching
+// VTIMEZONE, so clients show the right time on both sides of a DST change.
+// DTSTAMP comes from when each booking last changed rather than the time of
+// the request, so unchanged data always renders to the same bytes (and ETag).
+export function generateICS(appointments, { name, timezone = DEFAULT_TIMEZONE, events = {}, ttl = 60 * 60, lastModified }) {
+  const settings = { ...DEFAULT_EVENT_SETTINGS, ...events };
+  // Every event carries its own zone. Leaving the calendar zone unnamed keeps
+  // ical-generator writing DTSTAMP/LAST-MODIFIED in UTC as RFC 5545 requires.
+  const calendar = ical({
+    name,
+    timezone: { name: null, generator: getVtimezoneComponent },
+    ttl
+  });
+  calendar.x('X-WR-TIMEZONE', timezone);
+  
+  for (const apt of appointments) {
+    const changed = apt.updatedAt || apt.firstSeenAt;
+    const stamp = changed ? new Date(changed) : (lastModified || new Date());
+    const event = calendar.createEvent({
+      id: apt.uid,
+      sequence: apt.sequence || 0,
+      stamp,
+      lastModified: stamp,
+      start: DateTime.fromJSDate(apt.start),
+      end: DateTime.fromJSDate(apt.end),
+      timezone: apt.timezone || timezone,
+      summary: eventSummary(apt, settings),
+      location: apt.location || apt.defaultLocation || null,
+      description: eventDescription(apt, settings),
+      status: EVENT_STATUS[apt.status] || ICalEventStatus.CONFIRMED,
+      categories: apt.sourceName ? [{ name: apt.sourceName }] : []
+    });
+    
+    // Travel time shows up as a buffer in Apple Calendar, and alarms count
+    // back from when you need to leave rather than from the start
+    if (settings.travelMinutes > 0) {
+      event.x('X-APPLE-TRAVEL-DURATION;VALUE=DURATION', `PT${settings.travelMinutes}M`);
+    }
+    
+    if (apt.status !== 'cancelled') {
+      for (const minutes of settings.alarmMinutes) {
+        event.createAlarm({ type: 'display', triggerBefore: (minutes + settings.travelMinutes) * 60 });
+      }
+    }
+  }
+  
+  return calendar.toString();
+}
@@ -0,0 +1,95 @@
+import ICAL from 'ical.js';
+import { DateTime } from 'luxon';
+import { generateICS } from './feed.js';
+
+// ==================== EXPORT FORMATS ====================
+//
+// Every format is built from the same filtered appointment list as the ICS
+// feed, so a subscriber sees the same bookings whichever format they use.
+
+export const FORMATS = ['ics', 'json', 'csv', 'jcal'];
+
+function localTime(date, timezone) {
+  return DateTime.fromJSDate(date, { zone: timezone });
+}
+
+// JSON schema (version 1):
+// {
+//   version: 1,
+//   calendar: string, timezone: string (IANA),
+//   lastModified: ISO-8601, lastScrape: ISO-8601,
+//   appointments: [{
+//     uid: string, sequence: number,
+//     title, service, staff, student, location: string | null,
+//     status: 'scheduled' | 'cancelled' | 'completed' | ...,
+//     start, end: ISO-8601 with the offset of `timezone`,
+//     timezone: string (IANA),
+//     previousStart: ISO-8601 | null (set once rescheduled),
+//     source: { id: string, name: string }
+//   }]
+// }
+export function toJSON(appointments, { name, timezone, lastScrape, lastModified }) {
+  return {
+    version: 1,
+    calendar: name,
+    timezone,
+    lastModified: lastModified.toISOString(),
+    lastScrape: lastScrape.toISOString(),
+    appointments: appointments.map(apt => {
+      const zone = apt.timezone || timezone;
+      return {
+        uid: apt.uid,
+        sequence: apt.sequence || 0,
+        title: apt.title,
+        service: apt.service || null,
+        staff: apt.staff || null,
+        student: apt.student || null,
+        location: apt.location || null,
+        status: apt.status || 'scheduled',
+        start: localTime(apt.start, zone).toISO(),
+        end: localTime(apt.end, zone).toISO(),
+        timezone: zone,
+        previousStart: apt.previousStart || null,
+        source: { id: apt.sourceId, name: apt.sourceName }
+      };
+    })
+  };
+}
+
+const CSV_COLUMNS = ['date', 'start_time', 'end_time', 'title', 'service', 'staff', 'student', 'location', 'status', 'source', 'start', 'end', 'timezone', 'uid'];
+
+function csvCell(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// One row per appointment; date and times are local to the appointment's zone
+// so spreadsheets can use them directly, with full ISO timestamps alongside
+export function toCSV(appointments, options) {
+  const rows = toJSON(appointments, options).appointments.map(apt => {
+    const start = DateTime.fromISO(apt.start, { setZone: true });
+    const end = DateTime.fromISO(apt.end, { setZone: true });
+    return [
+      start.toISODate(),
+      start.toFormat('HH:mm'),
+      end.toFormat('HH:mm'),
+      apt.title,
+      apt.service,
+      apt.staff,
+      apt.student,
+      apt.location,
+      apt.status,
+      apt.source.name,
+      apt.start,
+      apt.end,
+      apt.timezone,
+      apt.uid
+    ];
+  });
+  return [CSV_COLUMNS, ...rows].map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+// jCal (RFC 7265) is a lossless JSON form of iCalendar, so derive it from the ICS
+export function toJCal(appointments, options) {
+  return ICAL.parse(generateICS(appointments, options));
+}
@@ -0,0 +1,145 @@
+import { loadStore } from './store.js';
+import { loadRuns, getActiveRun, scrapePause } from './runs.js';
+
+// ==================== PROMETHEUS METRICS ====================
+
+// Counters live in memory and start from zero on restart, which Prometheus
+// handles as a counter reset. Gauges are read from the stores on every scrape.
+const DURATION_BUCKETS = [10, 30, 60, 120, 300, 600];
+
+const scrapeCounts = new Map();    // "source\0outcome" -> count
+const scrapeFailures = new Map();  // "source\0reason" -> count
+const scrapeDurations = new Map(); // source -> { buckets: [], sum, count }
+const feedRequests = new Map();    // "format\0status" -> count
+
+function increment(map, key) {
+  map.set(key, (map.get(key) || 0) + 1);
+}
+
+export function recordScrape(sourceId, outcome, durationMs, reason) {
+  increment(scrapeCounts, `${sourceId}\0${outcome}`);
+  if (outcome === 'failed') increment(scrapeFailures, `${sourceId}\0${reason || 'error'}`);
+  
+  const seconds = durationMs / 1000;
+  const histogram = scrapeDurations.get(sourceId) || { buckets: DURATION_BUCKETS.map(() => 0), sum: 0, count: 0 };
+  DURATION_BUCKETS.forEach((le, i) => {
+    if (seconds <= le) histogram.buckets[i]++;
+  });
+  histogram.sum += seconds;
+  histogram.count++;
+  scrapeDurations.set(sourceId, histogram);
+}
+
+export function recordFeedRequest(format, status) {
+  increment(feedRequests, `${format}\0${status}`);
+}
+
+function labels(values) {
+  const pairs = Object.entries(values).map(([k, v]) => `${k}="${String(v).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`);
+  return `{${pairs.join(',')}}`;
+}
+
+// Text exposition format, one HELP/TYPE block per metric
+export function renderMetrics(config) {
+  const lines = [];
+  const metric = (name, type, help) => lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+  const names = new Map(config.sources.map(s => [s.id, s.calendarName]));
+  const sourceLabels = id => ({ source: id, name: names.get(id) ?? '' });
+  
+  metric('appointy_scrapes_total', 'counter', 'Scrape runs since the process started, by outcome.');
+  for (const [key, count] of scrapeCounts) {
+    const [source, outcome] = key.split('\0');
+    lines.push(`appointy_scrapes_total${labels({ ...sourceLabels(source), outcome })} ${count}`);
+  }
+  
+  metric('appointy_scrape_failures_total', 'counter', 'Failed scrape runs since the process started, by reason.');
+  for (const [key, count] of scrapeFailures) {
+    const [source, reason] = key.split('\0');
+    lines.push(`appointy_scrape_failures_total${labels({ ...sourceLabels(source), reason })} ${count}`);
+  }
+  
+  metric('appointy_scrape_duration_seconds', 'histogram', 'Duration of scrape runs.');
+  for (const [source, histogram] of scrapeDurations) {
+    DURATION_BUCKETS.forEach((le, i) => {
+      lines.push(`appointy_scrape_duration_seconds_bucket${labels({ ...sourceLabels(source), le })} ${histogram.buckets[i]}`);
+    });
+    lines.push(`appointy_scrape_duration_seconds_bucket${labels({ ...sourceLabels(source), le: '+Inf' })} ${histogram.count}`);
+    lines.push(`appointy_scrape_duration_seconds_sum${labels(sourceLabels(source))} ${histogram.sum}`);
+    lines.push(`appointy_scrape_duration_seconds_count${labels(sourceLabels(source))} ${histogram.count}`);
+  }
+  
+  metric('appointy_last_success_timestamp_seconds', 'gauge', 'Unix time of the last successful scrape (0 if none).');
+  const stores = config.sources.map(source => [source, loadStore(source.id)]);
+  for (const [source, store] of stores) {
+    lines.push(`appointy_last_success_timestamp_seconds${labels(sourceLabels(source.id))} ${Math.floor((store.scrapedAt || 0) / 1000)}`);
+  }
+  
+  metric('appointy_scrape_running', 'gauge', 'Whether a scrape of the source is in progress.');
+  for (const source of config.sources) {
+    lines.push(`appointy_scrape_running${labels(sourceLabels(source.id))} ${getActiveRun(source.id) ? 1 : 0}`);
+  }
+  
+  metric('appointy_scrape_paused', 'gauge', 'Whether scraping of the source is paused after repeated failures.');
+  for (const source of config.sources) {
+    lines.push(`appointy_scrape_paused${labels(sourceLabels(source.id))} ${scrapePause(source.id) ? 1 : 0}`);
+  }
+  
+  metric('appointy_appointments', 'gauge', 'Stored appointments by status.');
+  for (const [source, store] of stores) {
+    const byStatus = {};
+    for (const apt of store.appointments) {
+      const status = apt.status || 'scheduled';
+      byStatus[status] = (byStatus[status] || 0) + 1;
+    }
+    for (const [status, count] of Object.entries(byStatus)) {
+      lines.push(`appointy_appointments${labels({ ...sourceLabels(source.id), status })} ${count}`);
+    }
+  }
+  
+  metric('appointy_feed_requests_total', 'counter', 'Calendar feed requests by format and HTTP status.');
+  for (const [key, count] of feedRequests) {
+    const [format, status] = key.split('\0');
+    lines.push(`appointy_feed_requests_total${labels({ format, status })} ${count}`);
+  }
+  
+  return lines.join('\n') + '\n';
+}
+
+// ==================== HEALTH ====================
+
+// A source is stale once its data is older than HEALTH_MAX_AGE_MINUTES, by
+// default three scrape intervals, so a single failed run doesn't flag it
+export function healthThresholdMs(intervalMs) {
+  const minutes = parseInt(process.env.HEALTH_MAX_AGE_MINUTES);
+  return minutes > 0 ? minutes * 60 * 1000 : intervalMs * 3;
+}
+
+export function sourceHealth(source, thresholdMs) {
+  const { scrapedAt, appointments } = loadStore(source.id);
+  const runs = loadRuns(source.id);
+  const lastFailure = runs.find(run => run.outcome === 'failed');
+  const lastRunFailed = runs[0]?.outcome === 'failed';
+  const pause = scrapePause(source.id);
+  const ageMs = scrapedAt ? Date.now() - scrapedAt : null;
+  
+  let status = 'ok';
+  if (!scrapedAt) {
+    // Nothing stored yet: fine while the first scrape is pending, not once it failed
+    status = lastRunFailed ? 'failing' : 'pending';
+  } else if (ageMs > thresholdMs) {
+    status = 'stale';
+  }
+  
+  return {
+    id: source.id,
+    name: source.calendarName,
+    status,
+    appointments: appointments.length,
+    lastSuccess: scrapedAt ? new Date(scrapedAt).toISOString() : null,
+    cacheAgeSeconds: ageMs === null ? null : Math.round(ageMs / 1000),
+    lastRunFailed,
+    lastError: lastFailure ? { at: new Date(lastFailure.startedAt).toISOString(), reason: lastFailure.reason || 'error', message: lastFailure.error } : null,
+    pausedUntil: pause ? new Date(pause.until).toISOString() : null,
+    running: !!getActiveRun(source.id)
+  };
+}
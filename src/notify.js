@@ -0,0 +1,172 @@
+import nodemailer from 'nodemailer';
+import { DEFAULT_TIMEZONE } from './config.js';
+
+// ==================== CHANGE NOTIFICATIONS ====================
+//
+// After each scrape, every added, cancelled or rescheduled booking is sent to
+// the targets configured in the admin panel. Delivery failures are logged and
+// never fail the scrape.
+
+const EVENT_LABELS = {
+  added: 'New session',
+  rescheduled: 'Session moved',
+  cancelled: 'Session cancelled'
+};
+
+function formatTime(date, timezone) {
+  return new Date(date).toLocaleString('en-US', { dateStyle: 'medium', timeStyle: 'short', timeZone: timezone });
+}
+
+function appointmentJSON(apt) {
+  return {
+    uid: apt.uid,
+    title: apt.title,
+    service: apt.service || null,
+    staff: apt.staff || null,
+    student: apt.student || null,
+    location: apt.location || null,
+    status: apt.status,
+    start: new Date(apt.start).toISOString(),
+    end: new Date(apt.end).toISOString()
+  };
+}
+
+// One message per changed booking
+export function buildMessages(source, changes) {
+  const timezone = source.timezone || DEFAULT_TIMEZONE;
+  const messages = [];
+  for (const kind of Object.keys(EVENT_LABELS)) {
+    for (const apt of changes[kind] || []) {
+      const lines = [`${apt.title} - ${formatTime(apt.start, timezone)}`];
+      if (kind === 'rescheduled') lines.push(`Was: ${formatTime(apt.from.start, timezone)}`);
+      if (apt.student) lines.push(`For: ${apt.student}`);
+      if (apt.staff) lines.push(`With: ${apt.staff}`);
+      if (apt.location) lines.push(`At: ${apt.location}`);
+      lines.push(`Account: ${source.calendarName}`);
+      
+      messages.push({
+        event: `appointment.${kind}`,
+        title: `${EVENT_LABELS[kind]}: ${apt.title}`,
+        text: lines.join('\n'),
+        source: { id: source.id, name: source.calendarName },
+        appointment: appointmentJSON(apt),
+        previous: kind === 'rescheduled' ? appointmentJSON(apt.from) : null
+      });
+    }
+  }
+  return messages;
+}
+
+async function postOrThrow(url, options) {
+  const response = await fetch(url, { method: 'POST', ...options, signal: AbortSignal.timeout(15000) });
+  if (!response.ok) {
+    throw new Error(`${response.status} ${response.statusText}`);
+  }
+}
+
+async function sendWebhook(settings, message) {
+  await postOrThrow(settings.webhookUrl, {
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      event: message.event,
+      source: message.source,
+      appointment: message.appointment,
+      previous: message.previous,
+      sentAt: new Date().toISOString()
+    })
+  });
+}
+
+// Published as JSON to the server root rather than with a Title header, since
+// header values can't carry the dashes and emoji that turn up in service names
+async function sendNtfy(settings, message) {
+  const url = new URL(settings.ntfyUrl);
+  const segments = url.pathname.split('/').filter(Boolean);
+  const topic = segments.pop();
+  url.pathname = `/${segments.join('/')}`;
+  
+  const headers = { 'Content-Type': 'application/json' };
+  if (settings.ntfyToken) headers.Authorization = `Bearer ${settings.ntfyToken}`;
+  await postOrThrow(url.toString(), {
+    headers,
+    body: JSON.stringify({ topic, title: message.title, message: message.text, tags: ['calendar'] })
+  });
+}
+
+async function sendGotify(settings, message) {
+  await postOrThrow(`${settings.gotifyUrl.replace(/\/+$/, '')}/message`, {
+    headers: { 'Content-Type': 'application/json', 'X-Gotify-Key': settings.gotifyToken || '' },
+    body: JSON.stringify({ title: message.title, message: message.text, priority: 5 })
+  });
+}
+
+async function sendEmail(settings, message) {
+  const transport = nodemailer.createTransport({
+    host: settings.smtpHost,
+    port: parseInt(settings.smtpPort) || 587,
+    secure: settings.smtpSecure === true || settings.smtpSecure === 'true',
+    auth: settings.smtpUser ? { user: settings.smtpUser, pass: settings.smtpPassword } : undefined
+  });
+  await transport.sendMail({
+    from: settings.emailFrom || settings.smtpUser,
+    to: settings.emailTo,
+    subject: message.title,
+    text: message.text
+  });
+}
+
+// The targets that have enough settings to be used
+export function enabledTargets(settings = {}) {
+  const targets = [];
+  if (settings.webhookUrl) targets.push(['webhook', sendWebhook]);
+  if (settings.ntfyUrl) targets.push(['ntfy', sendNtfy]);
+  if (settings.gotifyUrl) targets.push(['gotify', sendGotify]);
+  if (settings.smtpHost && settings.emailTo) targets.push(['email', sendEmail]);
+  return targets;
+}
+
+// Send every message to every target. Returns the failures so callers that
+// care (e.g. the admin "send test" button) can report them.
+export async function deliver(settings, messages) {
+  const failures = [];
+  for (const [name, send] of enabledTargets(settings)) {
+    for (const message of messages) {
+      try {
+        await send(settings, message);
+      } catch (error) {
+        console.error(`Notification via ${name} failed:`, error.message);
+        failures.push(`${name}: ${error.message}`);
+      }
+    }
+  }
+  return failures;
+}
+
+export async function notifyChanges(settings, source, changes) {
+  const messages = buildMessages(source, changes);
+  if (messages.length === 0 || enabledTargets(settings).length === 0) return;
+  console.log(`Sending ${messages.length} change notifications for "${source.calendarName}"`);
+  await deliver(settings, messages);
+}
+
+export function verificationMessage(source, timeoutMinutes) {
+  return {
+    event: 'login.verification',
+    title: `Verification code needed: ${source.calendarName}`,
+    text: `The booking site asked for a verification code while logging in to "${source.calendarName}". Enter it in the admin panel within ${timeoutMinutes} minutes.`,
+    source: { id: source.id, name: source.calendarName },
+    appointment: null,
+    previous: null
+  };
+}
+
+export function testMessage() {
+  return {
+    event: 'test',
+    title: 'Appointy Calendar Sync test',
+    text: 'Notifications are working.',
+    source: null,
+    appointment: null,
+    previous: null
+  };
+}
@@ -0,0 +1,166 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { DATA_DIR } from './config.js';
+
+// ==================== SCRAPE RUN HISTORY ====================
+
+// Each scrape is recorded in DATA_DIR/runs-<source id>.json (newest first) with
+// its timing, outcome and the steps it went through. Failed runs also keep a
+// screenshot and HTML snapshot of the page in DATA_DIR/diagnostics.
+const MAX_RUNS = 50;
+const DIAGNOSTICS_DIR = path.join(DATA_DIR, 'diagnostics');
+
+// Runs in progress, by source id, for the live view in the admin panel
+const activeRuns = new Map();
+
+// Why a run ended the way it did. Failed runs never touch the stored
+// appointments, so the feeds keep serving the last good scrape.
+export const RUN_REASONS = {
+  no_bookings: 'No bookings (confirmed by the site)',
+  login_failed: 'Login failed',
+  challenge: 'Blocked by a bot challenge',
+  layout_unrecognized: 'Page layout not recognised',
+  network: 'Site unreachable or timed out',
+  error: 'Error'
+};
+
+// A failure the scraper has classified; reason is a key of RUN_REASONS
+export class ScrapeError extends Error {
+  constructor(reason, message) {
+    super(message);
+    this.reason = reason;
+  }
+}
+
+function runsFile(sourceId) {
+  return path.join(DATA_DIR, `runs-${sourceId}.json`);
+}
+
+export function loadRuns(sourceId) {
+  try {
+    const file = runsFile(sourceId);
+    if (fs.existsSync(file)) return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (e) {
+    console.log('Could not read run history:', e.message);
+  }
+  return [];
+}
+
+export function getActiveRun(sourceId) {
+  return activeRuns.get(sourceId) || null;
+}
+
+export function startRun(source, trigger) {
+  const run = {
+    id: `${Date.now()}-${crypto.randomBytes(3).toString('hex')}`,
+    sourceId: source.id,
+    trigger,
+    startedAt: Date.now(),
+    finishedAt: null,
+    durationMs: null,
+    outcome: 'running',
+    reason: null,
+    appointments: null,
+    loginPath: null,
+    method: null,
+    attempts: null,
+    error: null,
+    artifacts: null,
+    steps: []
+  };
+  activeRuns.set(source.id, run);
+  return run;
+}
+
+// Log a progress message and record it on the run (if there is one)
+export function step(run, message) {
+  console.log(message);
+  run?.steps.push({ at: Date.now(), message });
+}
+
+export function finishRun(run, fields) {
+  Object.assign(run, fields, { finishedAt: Date.now() });
+  run.durationMs = run.finishedAt - run.startedAt;
+  activeRuns.delete(run.sourceId);
+  
+  const runs = [run, ...loadRuns(run.sourceId)];
+  for (const dropped of runs.splice(MAX_RUNS)) {
+    removeArtifacts(dropped);
+  }
+  try {
+    const file = runsFile(run.sourceId);
+    fs.writeFileSync(file + '.tmp', JSON.stringify(runs, null, 2));
+    fs.renameSync(file + '.tmp', file);
+  } catch (e) {
+    console.log('Could not write run history:', e.message);
+  }
+  return run;
+}
+
+export function deleteRuns(sourceId) {
+  for (const run of loadRuns(sourceId)) removeArtifacts(run);
+  fs.rmSync(runsFile(sourceId), { force: true });
+}
+
+// ==================== CIRCUIT BREAKER ====================
+
+// After PAUSE_AFTER_FAILURES failed runs in a row a source stops being scraped
+// for a while, so a broken login or a challenge isn't hammered every interval
+// until the account gets flagged. Each further failure doubles the pause (up to
+// a day). It is worked out from the run history, so it survives restarts.
+const PAUSE_AFTER_FAILURES = Math.max(parseInt(process.env.SCRAPE_PAUSE_AFTER_FAILURES) || 3, 1);
+const PAUSE_MS = (parseInt(process.env.SCRAPE_PAUSE_MINUTES) || 60) * 60 * 1000;
+const MAX_PAUSE_MS = 24 * 60 * 60 * 1000;
+
+// { failures, until } while the source is paused, otherwise null
+export function scrapePause(sourceId) {
+  const runs = loadRuns(sourceId);
+  const failures = runs.findIndex(run => run.outcome !== 'failed');
+  const count = failures === -1 ? runs.length : failures;
+  if (count < PAUSE_AFTER_FAILURES) return null;
+  
+  const pauseMs = Math.min(PAUSE_MS * 2 ** (count - PAUSE_AFTER_FAILURES), MAX_PAUSE_MS);
+  const until = runs[0].finishedAt + pauseMs;
+  return until > Date.now() ? { failures: count, until } : null;
+}
+
+// ==================== FAILURE DIAGNOSTICS ====================
+
+// Best effort: a page that has crashed may not give us either file
+export async function saveFailureArtifacts(page, run) {
+  if (!run) return;
+  fs.mkdirSync(DIAGNOSTICS_DIR, { recursive: true });
+  const artifacts = {};
+  
+  try {
+    artifacts.screenshot = `${run.id}.png`;
+    await page.screenshot({ path: path.join(DIAGNOSTICS_DIR, artifacts.screenshot), fullPage: true });
+  } catch (e) {
+    delete artifacts.screenshot;
+    console.log('Could not take failure screenshot:', e.message);
+  }
+  
+  try {
+    artifacts.html = `${run.id}.html`;
+    fs.writeFileSync(path.join(DIAGNOSTICS_DIR, artifacts.html), `<!-- ${page.url()} -->\n${await page.content()}`);
+  } catch (e) {
+    delete artifacts.html;
+    console.log('Could not save failure HTML:', e.message);
+  }
+  
+  if (Object.keys(artifacts).length) run.artifacts = artifacts;
+}
+
+// Path of a stored artifact, or null for anything that isn't one
+export function artifactPath(name) {
+  if (!/^[\w-]+\.(png|html)$/.test(name)) return null;
+  const file = path.join(DIAGNOSTICS_DIR, name);
+  return fs.existsSync(file) ? path.resolve(file) : null;
+}
+
+function removeArtifacts(run) {
+  for (const name of Object.values(run.artifacts || {})) {
+    fs.rmSync(path.join(DIAGNOSTICS_DIR, name), { force: true });
+  }
+}
@@ -0,0 +1,126 @@
+import { loadConfig, DEFAULT_TIMEZONE } from './config.js';
+import { scrapeAppointments, parseAppointmentData } from './scraper.js';
+import { sourceDefaults } from './adapters/index.js';
+import { loadStore, saveStore } from './store.js';
+import { mergeAppointments, hasChanges } from './changes.js';
+import { notifyChanges } from './notify.js';
+import { syncToCalDAV } from './caldav.js';
+import { startRun, finishRun, step, scrapePause, ScrapeError } from './runs.js';
+import { recordScrape } from './monitoring.js';
+
+const DEFAULT_INTERVAL_MINUTES = parseInt(process.env.SCRAPE_INTERVAL_MINUTES) || 60;
+
+let timer = null;
+const inFlight = new Map();
+
+export function getScrapeInterval(config) {
+  const minutes = parseInt(config.scrapeIntervalMinutes) || DEFAULT_INTERVAL_MINUTES;
+  return Math.max(minutes, 5) * 60 * 1000;
+}
+
+// Scrape one source and persist its parsed appointments. Only one scrape per
+// source runs at a time: callers arriving while one is in flight share its result.
+// trigger ('scheduled', 'manual', 'feed', ...) is noted in the run history.
+// While the source is paused after repeated failures (see scrapePause) only a
+// manual run from the admin panel goes ahead.
+export function runScrape(source, trigger = 'scheduled') {
+  const pause = trigger === 'manual' ? null : scrapePause(source.id);
+  if (pause && !inFlight.has(source.id)) {
+    return Promise.reject(new Error(`Scraping "${source.calendarName}" is paused until ${new Date(pause.until).toLocaleString()} after ${pause.failures} failed runs in a row`));
+  }
+  if (!inFlight.has(source.id)) {
+    inFlight.set(source.id, recordRun(source, trigger).finally(() => {
+      inFlight.delete(source.id);
+    }));
+  }
+  return inFlight.get(source.id);
+}
+
+export function isScrapeRunning(sourceId) {
+  return inFlight.has(sourceId);
+}
+
+async function recordRun(source, trigger) {
+  const run = startRun(source, trigger);
+  try {
+    const result = await scrapeAndStore(source, run);
+    finishRun(run, { outcome: 'success', appointments: result.appointments.length });
+    return result;
+  } catch (error) {
+    finishRun(run, { outcome: 'failed', reason: error.reason || 'error', error: error.message });
+    throw error;
+  } finally {
+    recordScrape(source.id, run.outcome, run.durationMs, run.reason);
+  }
+}
+
+async function scrapeAndStore(source, run) {
+  if (!source.appointyEmail || !source.appointyBookingUrl) {
+    throw new Error(`Source "${source.calendarName}" has no Appointy account configured`);
+  }
+  
+  step(run, `Fetching appointments for "${source.calendarName}" with Puppeteer...`);
+  const raw = await scrapeAppointments(source, run);
+  const defaults = sourceDefaults(source);
+  const scraped = raw.map(r => parseAppointmentData(r, source.timezone || DEFAULT_TIMEZONE, defaults)).filter(Boolean);
+  if (raw.length > 0 && scraped.length === 0) {
+    throw new ScrapeError('layout_unrecognized', `Found ${raw.length} bookings but could not read the date of any`);
+  }
+  
+  const config = loadConfig();
+  const previous = loadStore(source.id);
+  const { appointments, changes } = mergeAppointments(source.id, previous.appointments, scraped, {
+    graceDays: config.cancelledGraceDays
+  });
+  const store = saveStore(source.id, appointments);
+  
+  step(run, `Stored ${appointments.length} appointments for "${source.calendarName}"`);
+  if (hasChanges(changes)) {
+    console.log('Changes:', Object.entries(changes).map(([kind, list]) => `${list.length} ${kind}`).join(', '));
+    // The first scrape of a source only establishes the baseline
+    if (previous.scrapedAt) {
+      await notifyChanges(config.notifications, source, changes);
+    }
+  }
+  
+  try {
+    await syncToCalDAV(source);
+  } catch (error) {
+    console.error(`CalDAV sync failed for "${source.calendarName}":`, error.message);
+  }
+  return { ...store, changes };
+}
+
+// Scrape every configured source one after another
+export async function runAllScrapes() {
+  for (const source of loadConfig().sources) {
+    try {
+      await runScrape(source);
+    } catch (error) {
+      console.error(`Scrape failed for "${source.calendarName}":`, error.message);
+    }
+  }
+}
+
+async function tick() {
+  timer = null;
+  await runAllScrapes();
+  scheduleNext(getScrapeInterval(loadConfig()));
+}
+
+function scheduleNext(delay) {
+  if (timer) clearTimeout(timer);
+  console.log(`Next scrape in ${Math.round(delay / 60000)} minutes`);
+  timer = setTimeout(tick, delay);
+}
+
+// Start (or restart after a settings change) the background scrape loop.
+// The first run is timed from the oldest stored scrape, so a restart only
+// scrapes immediately when some source's data is already due for a refresh.
+export function startScheduler() {
+  const config = loadConfig();
+  const interval = getScrapeInterval(config);
+  const scrapedTimes = config.sources.map(s => loadStore(s.id).scrapedAt || 0);
+  const oldest = scrapedTimes.length ? Math.min(...scrapedTimes) : Date.now();
+  scheduleNext(Math.max(0, interval - (Date.now() - oldest)));
+}
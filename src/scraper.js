@@ -0,0 +1,433 @@
+import { DateTime } from 'luxon';
+import puppeteerExtra from 'puppeteer-extra';
+import StealthPlugin from 'puppeteer-extra-plugin-stealth';
+import { captureBookingResponses } from './api-capture.js';
+import { saveBrowserSession, restoreBrowserSession, clearBrowserSession } from './browser-session.js';
+import { step, saveFailureArtifacts, ScrapeError } from './runs.js';
+import { getAdapter, sourceSelectors } from './adapters/index.js';
+import { getVerificationCode } from './verification.js';
+
+// Enable stealth mode to bypass bot detection
+puppeteerExtra.use(StealthPlugin());
+
+// ==================== SCRAPING WITH PUPPETEER ====================
+
+// Chromium runs with --single-process and needs most of the box's memory, so
+// browser sessions are queued and never run side by side.
+let browserQueue = Promise.resolve();
+
+function withBrowserLock(fn) {
+  const run = browserQueue.then(fn);
+  browserQueue = run.catch(() => {});
+  return run;
+}
+
+// Timeouts, dropped connections and bot challenges often pass by themselves, so
+// those attempts are repeated with a fresh browser after an exponentially
+// growing, jittered delay. Login and layout failures would only fail again.
+const SCRAPE_ATTEMPTS = Math.max(parseInt(process.env.SCRAPE_ATTEMPTS) || 3, 1);
+const RETRY_DELAY_MS = (parseInt(process.env.SCRAPE_RETRY_DELAY_SECONDS) || 30) * 1000;
+const RETRYABLE_REASONS = ['network', 'challenge'];
+
+// How long a Cloudflare interstitial gets to clear before the attempt fails
+const CHALLENGE_WAIT_MS = 45 * 1000;
+const CHALLENGE_POLL_MS = 3000;
+
+// Somewhere between half and all of base * 2^(attempt - 1), so retries of
+// several sources don't hit the site in lockstep
+export function retryDelay(attempt, baseMs = RETRY_DELAY_MS) {
+  const delay = baseMs * 2 ** (attempt - 1);
+  return Math.round(delay / 2 + Math.random() * delay / 2);
+}
+
+// Navigation and connection failures worth another attempt; a selector that
+// never shows up is left alone, since that is usually a layout change
+export function isTransientError(error) {
+  return /Navigation timeout|net::ERR_|ECONNRESET|ECONNREFUSED|ETIMEDOUT|ENOTFOUND|EAI_AGAIN|socket hang up|Target closed|Session closed|detached Frame/i.test(error.message || '');
+}
+
+// run is the history record from runs.js; the scrape notes its progress, login
+// path and extraction method there, and leaves diagnostics on it when it fails.
+// Everything site-specific (login form, pagination, card text) is delegated to
+// the source's adapter; see src/adapters/index.js. Returns an empty list only
+// when the site confirms there are no bookings; a rejected login, a bot
+// challenge or an unreadable page throw a ScrapeError with the reason.
+// Network failures and challenges are tried up to SCRAPE_ATTEMPTS times.
+export async function scrapeAppointments(config, run) {
+  for (let attempt = 1; ; attempt++) {
+    if (run) run.attempts = attempt;
+    step(run, attempt === 1 ? 'Waiting for the browser...' : `Attempt ${attempt} of ${SCRAPE_ATTEMPTS}, waiting for the browser...`);
+    try {
+      // The lock is released between attempts so other sources aren't held up
+      return await withBrowserLock(() => runBrowserScrape(config, run));
+    } catch (error) {
+      if (attempt >= SCRAPE_ATTEMPTS || !RETRYABLE_REASONS.includes(error.reason)) throw error;
+      const delay = retryDelay(attempt);
+      step(run, `Retrying in ${Math.round(delay / 1000)}s`);
+      await new Promise(r => setTimeout(r, delay));
+    }
+  }
+}
+
+// Runs the source's selectors and patterns against its live booking page (with
+// the saved session, but without logging in) or against a saved HTML snapshot,
+// and reports what each one matched
+export function testSelectors(config, snapshotHtml = null) {
+  return withBrowserLock(() => runSelectorTest(config, snapshotHtml));
+}
+
+async function launchBrowser() {
+  const browser = await puppeteerExtra.launch({
+    headless: 'new',
+    executablePath: process.env.PUPPETEER_EXECUTABLE_PATH || '/usr/bin/chromium-browser',
+    args: [
+      '--no-sandbox',
+      '--disable-setuid-sandbox',
+      '--disable-dev-shm-usage',
+      '--disable-gpu',
+      '--single-process',
+      '--no-zygote',
+      '--disable-blink-features=AutomationControlled',
+      '--window-size=1920,1080'
+    ]
+  });
+  
+  const page = await browser.newPage();
+  
+  await page.setUserAgent('Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36');
+  await page.setViewport({ width: 1280, height: 800 });
+  
+  return { browser, page };
+}
+
+async function runBrowserScrape(config, run) {
+  const adapter = getAdapter(config.adapter);
+  const ctx = { step: message => step(run, message), selectors: sourceSelectors(config) };
+  
+  step(run, `Launching browser (${adapter.label})...`);
+  const { browser, page } = await launchBrowser();
+  
+  // Start listening before the first request so no bookings payload is missed
+  const bookingResponses = captureBookingResponses(page, adapter.apiUrlPattern);
+  
+  try {
+    const restored = await restoreBrowserSession(page, config.id);
+    
+    step(run, `Navigating to ${config.appointyBookingUrl}`);
+    const response = await page.goto(config.appointyBookingUrl, { 
+      waitUntil: 'networkidle2',
+      timeout: 60000 
+    });
+    
+    // Cloudflare serves its challenge with a 403/503, so look for one first
+    const challenged = await waitOutChallenge(page, run);
+    if (!challenged && response?.status() >= 500) {
+      throw new ScrapeError('network', `The site answered ${response.status()} ${response.statusText()}`);
+    }
+    await adapter.waitForApp(page);
+    
+    // Check if we need to login
+    console.log('Current URL:', page.url());
+    
+    if (await adapter.isLoginPage(page)) {
+      if (run) run.loginPath = restored ? 'session expired, password login' : 'password login';
+      step(run, restored ? 'Saved session expired, logging in...' : 'Logging in...');
+      const loginStartedAt = Date.now();
+      await adapter.login(page, config, ctx);
+      step(run, 'Login submitted');
+      await completeVerification(page, adapter, ctx, config, run, loginStartedAt);
+      if (await waitOutChallenge(page, run)) await adapter.waitForApp(page);
+      
+      if (await adapter.isLoginPage(page)) {
+        clearBrowserSession(config.id);
+        const message = adapter.loginError && await adapter.loginError(page, ctx);
+        throw new ScrapeError('login_failed', message || 'Still on the login page after submitting the credentials');
+      }
+    } else {
+      if (run) run.loginPath = restored ? 'saved session' : 'no login needed';
+      if (restored) step(run, 'Saved session still valid, skipping login');
+    }
+    
+    await adapter.openBookings(page, config, ctx);
+    bookingResponses.watchForEmptyLists();
+    
+    // Keep the logged-in session for next time, or drop one that no longer works
+    if (await adapter.isLoginPage(page)) {
+      clearBrowserSession(config.id);
+      throw new ScrapeError('login_failed', 'Sent back to the login page from the bookings page; the next run logs in again');
+    }
+    await saveBrowserSession(page, config.id);
+    
+    // Wait for bookings to load - ideally as an API payload
+    step(run, 'Waiting for bookings to load...');
+    if (await bookingResponses.waitForBookings(15000)) {
+      const appointments = await loadAllApiBookings(page, adapter, ctx, bookingResponses);
+      if (appointments.length > 0) {
+        if (run) run.method = 'bookings API';
+        step(run, `Found ${appointments.length} appointments from the bookings API`);
+        return appointments;
+      }
+    }
+    
+    // No API payload seen - fall back to reading the rendered page
+    if (run) run.method = 'page text';
+    step(run, 'No bookings API payload seen, falling back to page text...');
+    
+    await adapter.loadAllBookings(page, ctx);
+    
+    // Extract appointments
+    const appointments = await adapter.extractBookings(page, ctx);
+    step(run, `Found ${appointments.length} appointments`);
+    if (appointments.length === 0) {
+      await confirmNoBookings(page, adapter, ctx, run, bookingResponses);
+    }
+    
+    return appointments;
+  
+  } catch (error) {
+    // Timeouts and missing elements are often a challenge page in disguise
+    const challenge = !error.reason && await botChallenge(page);
+    const failure = challenge ? new ScrapeError('challenge', `${challenge} (${error.message})`)
+      : !error.reason && isTransientError(error) ? new ScrapeError('network', error.message)
+      : error;
+    step(run, `Failed: ${failure.message}`);
+    await saveFailureArtifacts(page, run);
+    throw failure;
+  } finally {
+    await browser.close();
+  }
+}
+
+async function runSelectorTest(config, snapshotHtml) {
+  const adapter = getAdapter(config.adapter);
+  const ctx = { step: message => console.log(message), selectors: sourceSelectors(config) };
+  const { browser, page } = await launchBrowser();
+  
+  try {
+    if (snapshotHtml) {
+      // Snapshots are rendered pages; their scripts would only re-render them
+      await page.setContent(snapshotHtml.replace(/<script\b[\s\S]*?<\/script>/gi, ''), { waitUntil: 'load' });
+    } else {
+      await restoreBrowserSession(page, config.id);
+      await page.goto(config.appointyBookingUrl, { waitUntil: 'networkidle2', timeout: 60000 });
+      await adapter.waitForApp(page);
+    }
+    
+    const report = await adapter.testSelectors(page, ctx);
+    return {
+      ...report,
+      url: snapshotHtml ? null : page.url(),
+      loginPage: snapshotHtml ? null : await adapter.isLoginPage(page)
+    };
+  } finally {
+    await browser.close();
+  }
+}
+
+// Cloudflare-style interstitials that stand between us and the site. Sites
+// behind Cloudflare load /cdn-cgi/challenge-platform/ scripts on every page,
+// so only the interstitial itself and unsolved Turnstile widgets count.
+async function botChallenge(page) {
+  return page.evaluate(() => {
+    const markers = '#challenge-form, #challenge-running, #cf-challenge-running, .cf-browser-verification, [id^="cf-chl"]';
+    if (/^(just a moment|attention required)/i.test(document.title) || document.querySelector(markers) || window._cf_chl_opt) {
+      return 'Cloudflare challenge';
+    }
+    const turnstile = document.querySelector('.cf-turnstile, iframe[src*="challenges.cloudflare.com"]');
+    if (turnstile && !document.querySelector('[name="cf-turnstile-response"]')?.value) {
+      return 'Cloudflare Turnstile';
+    }
+    const text = document.body?.innerText || '';
+    if (/checking (if the site connection is secure|your browser)|verify(ing)? you are (a )?human|are you a robot/i.test(text)) {
+      return 'Browser check';
+    }
+    return null;
+  }).catch(() => null);
+}
+
+async function failOnBotChallenge(page) {
+  const challenge = await botChallenge(page);
+  if (challenge) throw new ScrapeError('challenge', `${challenge} on ${page.url()}`);
+}
+
+// Most challenges solve themselves in a few seconds in a real-looking browser
+// and then reload the page. Returns true if there was one to wait for; throws
+// when it is still there after CHALLENGE_WAIT_MS.
+async function waitOutChallenge(page, run) {
+  const challenge = await botChallenge(page);
+  if (!challenge) return false;
+  
+  step(run, `${challenge} on ${page.url()}, waiting up to ${CHALLENGE_WAIT_MS / 1000}s for it to clear...`);
+  const deadline = Date.now() + CHALLENGE_WAIT_MS;
+  while (Date.now() < deadline) {
+    await new Promise(r => setTimeout(r, CHALLENGE_POLL_MS));
+    await page.waitForNetworkIdle({ idleTime: 500, timeout: CHALLENGE_POLL_MS }).catch(() => {});
+    if (!await botChallenge(page)) {
+      step(run, 'Challenge cleared');
+      return true;
+    }
+  }
+  throw new ScrapeError('challenge', `${challenge} on ${page.url()} did not clear within ${CHALLENGE_WAIT_MS / 1000}s`);
+}
+
+// An empty result only counts when the site confirms it - the bookings API sent
+// an empty list or the page shows its "no bookings" message - and the page text
+// holds no booking dates we failed to read. Anything else means the layout
+// changed or the page never loaded, and the stored appointments must be kept.
+async function confirmNoBookings(page, adapter, ctx, run, bookingResponses) {
+  await failOnBotChallenge(page);
+  const { bookingDates = 0, emptyState = null } = adapter.describeBookingsPage
+    ? await adapter.describeBookingsPage(page, ctx)
+    : {};
+  
+  if (bookingDates === 0 && (emptyState || bookingResponses.sawEmptyList())) {
+    if (run) run.reason = 'no_bookings';
+    step(run, emptyState ? `The page says "${emptyState}"` : 'The bookings API returned an empty list');
+    return;
+  }
+  throw new ScrapeError('layout_unrecognized', bookingDates
+    ? `The page shows ${bookingDates} booking dates but none could be read`
+    : 'No bookings found, and the page does not say there are none');
+}
+
+// Some logins continue with a one-time code (emailed, texted, or from an
+// authenticator app); pause the run until verification.js has one
+async function completeVerification(page, adapter, ctx, config, run, loginStartedAt) {
+  const challenge = adapter.verificationChallenge && await adapter.verificationChallenge(page, ctx);
+  if (!challenge) return;
+  
+  step(run, `Verification code requested (${challenge})`);
+  const code = await getVerificationCode(config, run, loginStartedAt);
+  step(run, 'Entering verification code...');
+  await adapter.enterVerificationCode(page, code, ctx);
+  
+  if (await adapter.verificationChallenge(page, ctx)) {
+    throw new ScrapeError('login_failed', 'The verification code was not accepted');
+  }
+  if (run) run.loginPath += ' with verification code';
+  step(run, 'Verification code accepted');
+}
+
+// Keep triggering lazy loading until no further bookings payloads arrive
+async function loadAllApiBookings(page, adapter, ctx, bookingResponses) {
+  let previousCount = bookingResponses.bookings().length;
+  let noChangeCount = 0;
+  
+  for (let attempt = 0; attempt < 50 && noChangeCount < 2; attempt++) {
+    const more = bookingResponses.waitForMore(4000);
+    await adapter.loadMore(page, ctx);
+    await more;
+    
+    const currentCount = bookingResponses.bookings().length;
+    if (currentCount === previousCount) {
+      noChangeCount++;
+    } else {
+      noChangeCount = 0;
+      console.log('API bookings:', previousCount, '->', currentCount);
+    }
+    previousCount = currentCount;
+  }
+  
+  return bookingResponses.bookings();
+}
+
+function to24Hour(hour, ampm) {
+  hour = parseInt(hour);
+  ampm = ampm?.toLowerCase();
+  if (ampm === 'pm' && hour !== 12) hour += 12;
+  if (ampm === 'am' && hour === 12) hour = 0;
+  return hour;
+}
+
+function normalizeStatus(status) {
+  const value = (status || 'scheduled').toLowerCase().replace(/\s+/g, '-');
+  if (value === 'canceled') return 'cancelled';
+  if (value === 'confirmed') return 'scheduled';
+  return value;
+}
+
+// ISO date-times without a UTC offset are wall-clock times in the source's zone
+function parseDateTime(value, timezone) {
+  const parsed = DateTime.fromISO(value, { zone: timezone });
+  return parsed.isValid ? parsed.toJSDate() : new Date(value);
+}
+
+// Bookings captured from the API carry real date-times instead of card text
+function parseApiAppointment(raw, timezone, defaults) {
+  const start = parseDateTime(raw.start, timezone);
+  let end = raw.end ? parseDateTime(raw.end, timezone) : null;
+  if (!end || isNaN(end.getTime()) || end <= start) {
+    end = new Date(start.getTime() + (raw.durationMinutes || 60) * 60 * 1000);
+  }
+  
+  return {
+    bookingId: raw.bookingId || null,
+    title: raw.service || defaults.title || 'Appointment',
+    service: raw.service || null,
+    staff: raw.staff || null,
+    student: raw.student || null,
+    location: raw.location || null,
+    status: normalizeStatus(raw.status),
+    start,
+    end
+  };
+}
+
+// Card times are wall-clock times in the source's timezone, not the server's.
+// defaults.title (from the source's adapter) names bookings without a service.
+export function parseAppointmentData(raw, timezone = 'America/New_York', defaults = {}) {
+  try {
+    if (raw.start) return parseApiAppointment(raw, timezone, defaults);
+    
+    // Parse the card format: { month: 'Jan', day: '08', year: '2026', hour: '4', minute: '00', ampm: 'pm', ... }
+    const monthMap = {
+      'jan': 1, 'feb': 2, 'mar': 3, 'apr': 4, 'may': 5, 'jun': 6,
+      'jul': 7, 'aug': 8, 'sep': 9, 'oct': 10, 'nov': 11, 'dec': 12
+    };
+    
+    const month = monthMap[raw.month?.toLowerCase()];
+    if (month === undefined) {
+      console.log('Unknown month:', raw.month);
+      return null;
+    }
+    
+    const year = parseInt(raw.year);
+    const day = parseInt(raw.day);
+    const hour = to24Hour(raw.hour, raw.ampm);
+    const minute = parseInt(raw.minute);
+    
+    const wallClock = DateTime.fromObject({ year, month, day, hour, minute }, { zone: timezone });
+    if (!wallClock.isValid) {
+      console.log('Invalid date or timezone:', wallClock.invalidExplanation);
+      return null;
+    }
+    const start = wallClock.toJSDate();
+    
+    // Prefer the printed end time, then a printed duration, then the usual 60 minutes
+    let end;
+    if (raw.endHour) {
+      let endTime = wallClock.set({ hour: to24Hour(raw.endHour, raw.endAmpm), minute: parseInt(raw.endMinute) });
+      if (endTime <= wallClock) endTime = endTime.plus({ days: 1 });
+      end = endTime.toJSDate();
+    } else {
+      const durationMinutes = raw.durationMinutes || 60;
+      end = wallClock.plus({ minutes: durationMinutes }).toJSDate();
+    }
+    
+    console.log('Parsed appointment:', start.toISOString(), '-', end.toISOString());
+    
+    return {
+      title: raw.service || defaults.title || 'Appointment',
+      service: raw.service || null,
+      staff: raw.staff || null,
+      student: raw.student || null,
+      location: raw.location || null,
+      status: normalizeStatus(raw.status),
+      start,
+      end
+    };
+  } catch (e) {
+    console.log('Parse error:', e.message);
+    return null;
+  }
+}
@@ -0,0 +1,89 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+
+// ==================== ADMIN PASSWORD ====================
+
+// Stored as scrypt$N$r$p$<salt>$<hash> so the cost can be raised later without
+// breaking existing hashes
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+const HASH_LENGTH = 64;
+
+export function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const { N, r, p } = SCRYPT_PARAMS;
+  const hash = crypto.scryptSync(password, salt, HASH_LENGTH, { N, r, p });
+  return ['scrypt', N, r, p, salt.toString('base64'), hash.toString('base64')].join('$');
+}
+
+export function isPasswordHash(value) {
+  return typeof value === 'string' && value.startsWith('scrypt$');
+}
+
+export function verifyPassword(password, stored) {
+  if (typeof password !== 'string' || !isPasswordHash(stored)) return false;
+  const [, N, r, p, salt, hash] = stored.split('$');
+  const expected = Buffer.from(hash, 'base64');
+  const actual = crypto.scryptSync(password, Buffer.from(salt, 'base64'), expected.length, {
+    N: Number(N), r: Number(r), p: Number(p)
+  });
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+// ==================== ENCRYPTED SECRETS ====================
+
+// Credentials for Appointy, CalDAV and the notification services are kept in
+// config.json as enc:v1:<iv>:<tag>:<ciphertext> (AES-256-GCM). The key comes
+// from SECRET_KEY, or from a key file that is created on first use.
+const PREFIX = 'enc:v1:';
+let cachedKey = null;
+
+function keyFile(dataDir) {
+  return process.env.SECRET_KEY_FILE || path.join(dataDir, 'secret.key');
+}
+
+function loadKey(dataDir) {
+  if (cachedKey) return cachedKey;
+  
+  let material = process.env.SECRET_KEY;
+  if (!material) {
+    const file = keyFile(dataDir);
+    if (fs.existsSync(file)) {
+      material = fs.readFileSync(file, 'utf8').trim();
+    } else {
+      material = crypto.randomBytes(32).toString('hex');
+      fs.writeFileSync(file, material + '\n', { mode: 0o600 });
+      console.log('Created encryption key', file);
+    }
+  }
+  // Any passphrase works; hash it down to a 256-bit key
+  cachedKey = crypto.createHash('sha256').update(material).digest();
+  return cachedKey;
+}
+
+export function isEncrypted(value) {
+  return typeof value === 'string' && value.startsWith(PREFIX);
+}
+
+export function encryptSecret(value, dataDir) {
+  if (!value || isEncrypted(value)) return value;
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', loadKey(dataDir), iv);
+  const data = Buffer.concat([cipher.update(String(value), 'utf8'), cipher.final()]);
+  return PREFIX + [iv, cipher.getAuthTag(), data].map(b => b.toString('base64')).join(':');
+}
+
+// Values that cannot be decrypted (wrong or missing key) are returned as-is, so
+// saving the config again never destroys them
+export function decryptSecret(value, dataDir) {
+  if (!isEncrypted(value)) return value;
+  try {
+    const [iv, tag, data] = value.slice(PREFIX.length).split(':').map(s => Buffer.from(s, 'base64'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', loadKey(dataDir), iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(data), decipher.final()]).toString('utf8');
+  } catch (e) {
+    console.error('Could not decrypt a stored secret - check SECRET_KEY / the key file:', e.message);
+    return value;
+  }
+}
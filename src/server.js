@@ -1,58 +1,59 @@
 import express from 'express';
 import crypto from 'crypto';
 import fs from 'fs';
-import path from 'path';
-import ical from 'ical-generator';
-import puppeteerExtra from 'puppeteer-extra';
-import StealthPlugin from 'puppeteer-extra-plugin-stealth';
-
-// Enable stealth mode to bypass bot detection
-puppeteerExtra.use(StealthPlugin());
+import { loadConfig, saveConfig, createSource, findSource, generateToken, configChangedAt, isValidTimezone, DEFAULT_TIMEZONE } from './config.js';
+import { getAdapter, listAdapters, sourceSelectors, parseSelectorOverrides, isPatternKey, DEFAULT_ADAPTER } from './adapters/index.js';
+import { loadStore, deleteStore } from './store.js';
+import { clearBrowserSession } from './browser-session.js';
+import { hashPassword, verifyPassword } from './secrets.js';
+import { createSession, getSession, destroySession, destroyAllSessions, csrfMatches, newCsrfToken, loginBlockedFor, recordLoginFailure, clearLoginFailures, SESSION_MAX_AGE_MS } from './auth.js';
+import { deliver, enabledTargets, testMessage } from './notify.js';
+import { syncToCalDAV, testCalDAV, clearCalDAVState } from './caldav.js';
+import { FORMATS, toJSON, toCSV, toJCal } from './formats.js';
+import { createFeedToken, feedTokensFor, isTokenActive, parseExpiryDate, loadTokenAccess, recordTokenAccess, forgetTokenAccess, primaryAccessKey, MERGED_FEED } from './tokens.js';
+import { resolveFeed, parseFeedFilters, loadFeedAppointments, filterAppointments, generateICS, parseAlarmOffsets, formatAlarmOffsets, DEFAULT_EVENT_SETTINGS } from './feed.js';
+import { loadRuns, getActiveRun, deleteRuns, artifactPath, scrapePause, RUN_REASONS } from './runs.js';
+import { renderMetrics, recordFeedRequest, sourceHealth, healthThresholdMs } from './monitoring.js';
+import { runScrape, isScrapeRunning, startScheduler, getScrapeInterval } from './scheduler.js';
+import { testSelectors } from './scraper.js';
+import { VERIFICATION_METHODS, isAwaitingCode, provideCode, isValidTotpSecret, totp, testImap } from './verification.js';
 
 const app = express();
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
 const PORT = process.env.PORT || 3000;
-const DATA_DIR = process.env.DATA_DIR || './data';
-const CONFIG_FILE = path.join(DATA_DIR, 'config.json');
 
-// Ensure data directory exists
-if (!fs.existsSync(DATA_DIR)) {
-  fs.mkdirSync(DATA_DIR, { recursive: true });
+function configErrorMessage(config) {
+  return `config.json could not be read (${escapeHtml(config.loadError)}). Restore it from a backup or delete it to start over.`;
 }
 
-// Config management
-function loadConfig() {
-  try {
-    if (fs.existsSync(CONFIG_FILE)) {
-      return JSON.parse(fs.readFileSync(CONFIG_FILE, 'utf8'));
-    }
-  } catch {}
-  return {};
+// Express 4 doesn't catch rejected promises from async handlers; pass them on
+// to the error handler instead of letting them take the process down
+function asyncRoute(handler) {
+  return (req, res, next) => Promise.resolve(handler(req, res, next)).catch(next);
 }
 
-function saveConfig(config) {
-  fs.writeFileSync(CONFIG_FILE, JSON.stringify(config, null, 2));
+// Cookies are SameSite=Strict so other sites cannot ride on the admin session.
+// Secure is added over HTTPS, or always with SECURE_COOKIES=true behind a proxy.
+function setCookie(req, res, name, value, maxAgeSeconds) {
+  const secure = req.secure || process.env.SECURE_COOKIES === 'true';
+  res.append('Set-Cookie', `${name}=${value}; Path=/; HttpOnly; SameSite=Strict; Max-Age=${maxAgeSeconds}${secure ? '; Secure' : ''}`);
 }
 
-// Session management
-const sessions = new Map();
+function startSession(req, res) {
+  setCookie(req, res, 'session', createSession(), SESSION_MAX_AGE_MS / 1000);
+}
 
-function createSession() {
-  const token = crypto.randomBytes(32).toString('hex');
-  sessions.set(token, Date.now());
+// Token for the forms shown before login (setup and login)
+function anonymousCsrf(req, res) {
+  const token = parseCookies(req.headers.cookie).csrf || newCsrfToken();
+  setCookie(req, res, 'csrf', token, 60 * 60);
   return token;
 }
 
-function validateSession(token) {
-  const time = sessions.get(token);
-  if (!time) return false;
-  if (Date.now() - time > 86400000) {
-    sessions.delete(token);
-    return false;
-  }
-  return true;
+function csrfField(csrf) {
+  return `<input type="hidden" name="csrf" value="${escapeHtml(csrf)}">`;
 }
 
 function parseCookies(header) {
@@ -66,608 +67,577 @@ function parseCookies(header) {
   return cookies;
 }
 
-// Cache
-let cachedICS = null;
-let cacheTime = 0;
-const CACHE_TTL = 15 * 60 * 1000;
-
 // ==================== ROUTES ====================
 
 // Admin panel
 app.get('/admin', (req, res) => {
   const config = loadConfig();
-  const cookies = parseCookies(req.headers.cookie);
-  const isLoggedIn = cookies.session && validateSession(cookies.session);
+  const session = getSession(parseCookies(req.headers.cookie).session);
   
-  if (!config.adminPassword) {
-    return res.send(setupPage());
+  if (config.loadError) {
+    return res.status(500).send(configErrorMessage(config));
+  }
+  if (!config.adminPasswordHash) {
+    return res.send(setupPage(anonymousCsrf(req, res)));
   }
   
-  if (!isLoggedIn) {
-    return res.send(loginPage());
+  if (!session) {
+    return res.send(loginPage('', anonymousCsrf(req, res)));
   }
   
-  res.send(adminPage(config, req));
+  res.send(adminPage(config, req, session.csrf));
 });
 
-app.post('/admin', (req, res) => {
+app.post('/admin', asyncRoute(async (req, res) => {
   const config = loadConfig();
+  // Never offer setup (or save over the file) while the real config is unreadable
+  if (config.loadError) {
+    return res.status(500).send(configErrorMessage(config));
+  }
   const cookies = parseCookies(req.headers.cookie);
-  const isLoggedIn = cookies.session && validateSession(cookies.session);
+  const session = getSession(cookies.session);
+  const anonymousAction = req.body.action === 'setup' || req.body.action === 'login';
+  
+  // Every admin form carries a CSRF token: the session's once logged in,
+  // otherwise the one from the csrf cookie
+  const expectedCsrf = anonymousAction ? cookies.csrf : session?.csrf;
+  if (!csrfMatches(expectedCsrf, req.body.csrf)) {
+    if (!anonymousAction && !session) return res.redirect('/admin');
+    return res.status(403).send('Invalid form token - reload the page and try again');
+  }
   
   if (req.body.action === 'setup') {
+    // Setup only runs once; after that the config is changed by a logged-in admin
+    if (config.adminPasswordHash) {
+      return res.status(403).send('Already set up');
+    }
+    if (typeof req.body.adminPassword !== 'string' || !req.body.adminPassword) {
+      return res.status(400).send('An admin password is required');
+    }
     const newConfig = {
-      adminPassword: req.body.adminPassword,
-      appointyEmail: req.body.appointyEmail,
-      appointyPassword: req.body.appointyPassword,
-      appointyBookingUrl: req.body.appointyBookingUrl || 'https://mathnasium-booking.appointy.com/portlandme/my-bookings',
-      calendarToken: crypto.randomBytes(24).toString('hex'),
-      calendarName: req.body.calendarName || 'Mathnasium Appointments'
+      adminPasswordHash: hashPassword(req.body.adminPassword),
+      sources: [createSource(req.body)],
+      mergedCalendarName: 'All Appointments',
+      mergedCalendarToken: generateToken()
     };
     saveConfig(newConfig);
-    const token = createSession();
-    res.setHeader('Set-Cookie', `session=${token}; Path=/; HttpOnly; Max-Age=86400`);
+    startScheduler();
+    startSession(req, res);
     return res.redirect('/admin');
   }
   
   if (req.body.action === 'login') {
-    if (req.body.password === config.adminPassword) {
-      const token = createSession();
-      res.setHeader('Set-Cookie', `session=${token}; Path=/; HttpOnly; Max-Age=86400`);
+    const blockedMs = loginBlockedFor(req.ip);
+    if (blockedMs > 0) {
+      const minutes = Math.ceil(blockedMs / 60000);
+      res.setHeader('Retry-After', String(Math.ceil(blockedMs / 1000)));
+      return res.status(429).send(loginPage(`Too many failed attempts. Try again in ${minutes} minute${minutes === 1 ? '' : 's'}.`, cookies.csrf));
+    }
+    if (verifyPassword(req.body.password, config.adminPasswordHash)) {
+      clearLoginFailures(req.ip);
+      startSession(req, res);
       return res.redirect('/admin');
     }
-    return res.send(loginPage('Invalid password'));
+    recordLoginFailure(req.ip);
+    return res.status(401).send(loginPage('Invalid password', cookies.csrf));
+  }
+  
+  if (!session) {
+    return res.redirect('/admin');
   }
   
-  if (req.body.action === 'logout') {
-    res.setHeader('Set-Cookie', 'session=; Path=/; HttpOnly; Max-Age=0');
+  if (req.body.action === 'logout' || req.body.action === 'logout_all') {
+    if (req.body.action === 'logout_all') {
+      console.log(`Signed out ${destroyAllSessions()} admin session(s)`);
+    } else {
+      destroySession(cookies.session);
+    }
+    setCookie(req, res, 'session', '', 0);
     return res.redirect('/admin');
   }
   
-  if (req.body.action === 'save' && isLoggedIn) {
-    config.appointyEmail = req.body.appointyEmail;
-    config.appointyPassword = req.body.appointyPassword;
-    config.appointyBookingUrl = req.body.appointyBookingUrl;
-    config.calendarName = req.body.calendarName;
-    if (req.body.calendarToken) config.calendarToken = req.body.calendarToken;
-    if (req.body.adminPassword) config.adminPassword = req.body.adminPassword;
+  if (req.body.action === 'save') {
+    config.scrapeIntervalMinutes = parseInt(req.body.scrapeIntervalMinutes) || undefined;
+    if (req.body.mergedCalendarName) config.mergedCalendarName = req.body.mergedCalendarName;
+    config.cancelledGraceDays = parseInt(req.body.cancelledGraceDays) >= 0 ? parseInt(req.body.cancelledGraceDays) : undefined;
+    if (req.body.adminPassword) config.adminPasswordHash = hashPassword(req.body.adminPassword);
     saveConfig(config);
+    startScheduler();
+    if (req.body.adminPassword) {
+      // A new password signs out every other browser
+      destroyAllSessions();
+      startSession(req, res);
+    }
     return res.redirect('/admin?saved=1');
   }
   
-  res.redirect('/admin');
-});
-
-// Calendar endpoint
-app.get('/calendar/:token', async (req, res) => {
-  const config = loadConfig();
-  
-  if (!config.calendarToken || req.params.token !== config.calendarToken) {
-    return res.status(403).send('Invalid token');
+  if ((req.body.action === 'add_source' || req.body.action === 'save_source') && !isValidTimezone(req.body.timezone)) {
+    return res.redirect('/admin?error=' + encodeURIComponent(`Unknown timezone: ${req.body.timezone}`));
   }
   
-  const now = Date.now();
-  const forceRefresh = req.query.refresh === 'true';
-  
-  if (!forceRefresh && cachedICS && (now - cacheTime) < CACHE_TTL) {
-    res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
-    res.setHeader('X-Cache', 'HIT');
-    return res.send(cachedICS);
+  if (req.body.action === 'add_source') {
+    const source = createSource(req.body);
+    config.sources.push(source);
+    saveConfig(config);
+    // Fetch the new account right away rather than waiting for the next run
+    runScrape(source, 'new account').catch(error => console.error('Error:', error.message));
+    return res.redirect('/admin?saved=1');
   }
   
-  try {
-    console.log('Fetching appointments with Puppeteer...');
-    const appointments = await scrapeAppointments(config);
-    cachedICS = generateICS(appointments, config.calendarName);
-    cacheTime = now;
-    
-    res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
-    res.setHeader('X-Cache', 'MISS');
-    res.send(cachedICS);
-  } catch (error) {
-    console.error('Error:', error.message);
-    if (cachedICS) {
-      res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
-      res.setHeader('X-Cache', 'STALE');
-      return res.send(cachedICS);
+  if (req.body.action === 'save_source') {
+    const source = findSource(config, req.body.sourceId);
+    if (!source) return res.status(404).send('Unknown source');
+    // A different login or site invalidates the saved browser session
+    if (req.body.appointyEmail !== source.appointyEmail || req.body.appointyBookingUrl !== source.appointyBookingUrl ||
+        getAdapter(req.body.adapter).id !== getAdapter(source.adapter).id) {
+      clearBrowserSession(source.id);
     }
-    res.status(500).send('Error fetching appointments: ' + error.message);
+    source.calendarName = req.body.calendarName;
+    source.appointyEmail = req.body.appointyEmail;
+    // Stored passwords are never sent to the browser, so blank means unchanged
+    if (req.body.appointyPassword) source.appointyPassword = req.body.appointyPassword;
+    source.appointyBookingUrl = req.body.appointyBookingUrl;
+    source.adapter = getAdapter(req.body.adapter).id;
+    source.defaultTitle = req.body.defaultTitle || '';
+    source.defaultLocation = req.body.defaultLocation || '';
+    source.timezone = req.body.timezone;
+    saveConfig(config);
+    return res.redirect('/admin?saved=1');
   }
-});
-
-// Health check
-app.get('/health', async (req, res) => {
-  const config = loadConfig();
-  res.json({
-    status: 'ok',
-    method: 'puppeteer',
-    configured: !!config.appointyEmail
-  });
-});
-
-// Root redirect
-app.get('/', (req, res) => res.redirect('/admin'));
-
-// ==================== SCRAPING WITH PUPPETEER ====================
-
-async function scrapeAppointments(config) {
-  console.log('Launching browser...');
-  
-  const browser = await puppeteerExtra.launch({
-    headless: 'new',
-    executablePath: process.env.PUPPETEER_EXECUTABLE_PATH || '/usr/bin/chromium-browser',
-    args: [
-      '--no-sandbox',
-      '--disable-setuid-sandbox',
-      '--disable-dev-shm-usage',
-      '--disable-gpu',
-      '--single-process',
-      '--no-zygote',
-      '--disable-blink-features=AutomationControlled',
-      '--window-size=1920,1080'
-    ]
-  });
   
-  const page = await browser.newPage();
+  if (req.body.action === 'save_notifications') {
+    const previous = config.notifications || {};
+    config.notifications = {
+      webhookUrl: req.body.webhookUrl || '',
+      ntfyUrl: req.body.ntfyUrl || '',
+      ntfyToken: req.body.ntfyToken || previous.ntfyToken || '',
+      gotifyUrl: req.body.gotifyUrl || '',
+      gotifyToken: req.body.gotifyToken || previous.gotifyToken || '',
+      smtpHost: req.body.smtpHost || '',
+      smtpPort: parseInt(req.body.smtpPort) || 587,
+      smtpSecure: req.body.smtpSecure === 'on',
+      smtpUser: req.body.smtpUser || '',
+      smtpPassword: req.body.smtpPassword || previous.smtpPassword || '',
+      emailFrom: req.body.emailFrom || '',
+      emailTo: req.body.emailTo || ''
+    };
+    saveConfig(config);
+    return res.redirect('/admin?saved=1');
+  }
   
-  await page.setUserAgent('Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36');
-  await page.setViewport({ width: 1280, height: 800 });
+  if (req.body.action === 'save_events') {
+    let alarmMinutes;
+    try {
+      alarmMinutes = req.body.alarmsEnabled === 'on' ? parseAlarmOffsets(req.body.alarmOffsets) : [];
+    } catch (error) {
+      return res.redirect('/admin?error=' + encodeURIComponent(error.message));
+    }
+    config.events = {
+      summaryTemplate: req.body.summaryTemplate || DEFAULT_EVENT_SETTINGS.summaryTemplate,
+      descriptionTemplate: req.body.descriptionTemplate || '',
+      alarmMinutes,
+      travelMinutes: Math.max(0, parseInt(req.body.travelMinutes) || 0)
+    };
+    saveConfig(config);
+    return res.redirect('/admin?saved=1');
+  }
   
-  try {
-    console.log('Navigating to:', config.appointyBookingUrl);
-    await page.goto(config.appointyBookingUrl, { 
-      waitUntil: 'networkidle2',
-      timeout: 60000 
-    });
-    
-    // Wait for page to render (SPA)
-    await page.waitForFunction(() => {
-      return !document.querySelector('.loader-container') && 
-             !document.querySelector('.spinner');
-    }, { timeout: 30000 }).catch(() => {
-      console.log('Loader may still be present, continuing...');
-    });
-    
-    // Check if we need to login
-    const currentUrl = page.url();
-    console.log('Current URL:', currentUrl);
-    
-    if (currentUrl.includes('login') || currentUrl.includes('sign-in')) {
-      console.log('Login required...');
-      await performLogin(page, config);
+  if (req.body.action === 'test_notifications') {
+    if (enabledTargets(config.notifications).length === 0) {
+      return res.redirect('/admin?error=' + encodeURIComponent('No notification targets configured'));
     }
-    
-    // Navigate to my-bookings if needed
-    if (!page.url().includes('my-bookings')) {
-      console.log('Navigating to bookings page...');
-      await page.goto(config.appointyBookingUrl, { 
-        waitUntil: 'networkidle2',
-        timeout: 60000 
-      });
+    const failures = await deliver(config.notifications, [testMessage()]);
+    if (failures.length) {
+      return res.redirect('/admin?error=' + encodeURIComponent('Test failed - ' + failures.join('; ')));
     }
+    return res.redirect('/admin?tested=1');
+  }
+  
+  if (['save_caldav', 'test_caldav', 'sync_caldav'].includes(req.body.action)) {
+    const source = findSource(config, req.body.sourceId);
+    if (!source) return res.status(404).send('Unknown source');
     
-    // Wait for bookings to load
-    console.log('Waiting for bookings to load...');
-    await new Promise(r => setTimeout(r, 5000));
-    
-    // Try to wait for booking elements
-    await page.waitForSelector('[class*="booking"], [class*="appointment"], .card, article, tr, [class*="MuiCard"], [class*="session"]', { 
-      timeout: 15000 
-    }).catch(() => {
-      console.log('No booking selectors found, will try text extraction...');
-    });
-    
-    // Scroll to load all appointments (lazy loading with delay)
-    console.log('Scrolling to load all appointments...');
-    
-    // First check for "Load More" or similar buttons
-    const hasLoadMore = await page.evaluate(() => {
-      const buttons = Array.from(document.querySelectorAll('button, [role="button"], a'));
-      return buttons.some(b => /load\s*more|show\s*more|view\s*all|see\s*all/i.test(b.innerText));
-    });
-    console.log('Has Load More button:', hasLoadMore);
-    
-    // Get the scrollable element - likely a MUI component
-    const scrollInfo = await page.evaluate(() => {
-      // Look for the actual list container
-      const listElements = document.querySelectorAll('[class*="MuiList"], [class*="list"], [class*="scroll"], [role="list"]');
-      const info = [];
-      listElements.forEach(el => {
-        info.push({
-          tag: el.tagName,
-          class: el.className.substring(0, 100),
-          scrollHeight: el.scrollHeight,
-          clientHeight: el.clientHeight,
-          scrollable: el.scrollHeight > el.clientHeight
-        });
-      });
-      return info;
-    });
-    console.log('Scrollable elements found:', JSON.stringify(scrollInfo).substring(0, 500));
-    
-    let previousCount = 0;
-    let noChangeCount = 0;
-    let scrollAttempts = 0;
-    const maxScrollAttempts = 50;
-    
-    while (scrollAttempts < maxScrollAttempts && noChangeCount < 5) {
-      // Click "Load More" if it exists
-      const clickedLoadMore = await page.evaluate(() => {
-        const buttons = Array.from(document.querySelectorAll('button, [role="button"], a'));
-        const loadMore = buttons.find(b => /load\s*more|show\s*more|view\s*all|see\s*all/i.test(b.innerText));
-        if (loadMore) {
-          loadMore.click();
-          return true;
-        }
-        return false;
-      });
-      
-      if (clickedLoadMore) {
-        console.log('Clicked Load More button');
-        await new Promise(r => setTimeout(r, 3000));
+    if (req.body.action === 'save_caldav') {
+      source.caldav = req.body.caldavUrl ? {
+        url: req.body.caldavUrl,
+        username: req.body.caldavUsername || '',
+        password: req.body.caldavPassword || source.caldav?.password || ''
+      } : undefined;
+      saveConfig(config);
+      if (source.caldav) {
+        syncToCalDAV(source).catch(error => console.error('CalDAV sync failed:', error.message));
       }
-      
-      // Scroll everything - window, body, and all scrollable containers
-      await page.evaluate(() => {
-        // Scroll window
-        window.scrollTo(0, document.body.scrollHeight);
-        document.documentElement.scrollTop = document.documentElement.scrollHeight;
-        
-        // Find and scroll all potentially scrollable elements
-        const allElements = document.querySelectorAll('*');
-        allElements.forEach(el => {
-          const style = window.getComputedStyle(el);
-          if (style.overflowY === 'auto' || style.overflowY === 'scroll') {
-            el.scrollTop = el.scrollHeight;
-          }
-        });
-      });
-      
-      // Wait for content
-      await new Promise(r => setTimeout(r, 3500));
-      
-      // Count appointments by date pattern
-      const currentCount = await page.evaluate(() => {
-        const text = document.body.innerText;
-        const matches = text.match(/\w{3}\s*\|\s*\w{3}\s+\d{1,2},\s*\d{2}/g);
-        return matches ? matches.length : 0;
-      });
-      
-      if (currentCount === previousCount) {
-        noChangeCount++;
-        console.log('No new appointments after scroll', scrollAttempts, '(count:', currentCount, ')');
-      } else {
-        noChangeCount = 0;
-        console.log('Appointments:', previousCount, '->', currentCount);
-      }
-      
-      previousCount = currentCount;
-      scrollAttempts++;
-      
-      // Also try pressing End key and Page Down
-      await page.keyboard.press('End');
-      await new Promise(r => setTimeout(r, 500));
-      await page.keyboard.press('PageDown');
-      await new Promise(r => setTimeout(r, 500));
+      return res.redirect('/admin?saved=1');
     }
     
-    console.log('Finished scrolling, found', previousCount, 'appointment dates');
-    
-    // Scroll back to top
-    await page.evaluate(() => window.scrollTo(0, 0));
-    await new Promise(r => setTimeout(r, 1000));
-    
-    // Debug: Log page content
-    const pageText = await page.evaluate(() => document.body.innerText);
-    console.log('Page text length:', pageText.length, 'chars');
-    
-    // Extract appointments
-    const appointments = await extractAppointments(page);
-    console.log(`Found ${appointments.length} appointments`);
-    
-    return appointments;
-    
-  } finally {
-    await browser.close();
-  }
-}
-
-async function performLogin(page, config) {
-  console.log('Performing login...');
-  
-  // Wait for React/Vue to render - wait for any input to appear
-  console.log('Waiting for login form to render...');
-  await page.waitForSelector('input, [contenteditable="true"]', { 
-    visible: true, 
-    timeout: 30000 
-  }).catch(() => console.log('Timeout waiting for input'));
-  
-  // Extra wait for SPA to fully render
-  await new Promise(r => setTimeout(r, 5000));
-  
-  // Debug page content
-  const pageContent = await page.content();
-  console.log('Page has', pageContent.length, 'chars');
-  
-  // Find any visible input fields
-  const allInputs = await page.$$eval('input', inputs => 
-    inputs.map(i => ({
-      type: i.type,
-      name: i.name,
-      id: i.id,
-      placeholder: i.placeholder,
-      className: i.className,
-      visible: i.offsetParent !== null
-    }))
-  ).catch(() => []);
-  console.log('Found inputs:', JSON.stringify(allInputs));
-  
-  // Extended email selectors for various OAuth/OIDC providers
-  const emailSelectors = [
-    'input[type="email"]',
-    'input[name="email"]',
-    'input[name="identifier"]',
-    'input[name="username"]',
-    'input[name="login"]',
-    'input[name="user"]',
-    'input[id*="email" i]',
-    'input[id*="user" i]',
-    'input[id*="login" i]',
-    'input[placeholder*="email" i]',
-    'input[placeholder*="user" i]',
-    'input[autocomplete="email"]',
-    'input[autocomplete="username"]',
-    'input[type="text"]' // Last resort - first text input
-  ];
-  
-  let emailFilled = false;
-  for (const selector of emailSelectors) {
+    if (!source.caldav) {
+      return res.redirect('/admin?error=' + encodeURIComponent('CalDAV is not configured for this account'));
+    }
     try {
-      const el = await page.$(selector);
-      if (el) {
-        const isVisible = await el.isIntersectingViewport();
-        if (isVisible) {
-          await el.click({ clickCount: 3 });
-          await el.type(config.appointyEmail, { delay: 30 });
-          emailFilled = true;
-          console.log('Filled email with selector:', selector);
-          break;
-        }
+      if (req.body.action === 'test_caldav') {
+        await testCalDAV(source.caldav);
+        return res.redirect('/admin?caldav=' + encodeURIComponent('Connection OK'));
       }
-    } catch {}
+      const result = await syncToCalDAV(source);
+      return res.redirect('/admin?caldav=' + encodeURIComponent(
+        `Synced: ${result.created} created, ${result.updated} updated, ${result.deleted} deleted, ${result.failed} failed`
+      ));
+    } catch (error) {
+      return res.redirect('/admin?error=' + encodeURIComponent('CalDAV: ' + error.message));
+    }
   }
   
-  if (!emailFilled) {
-    // Try clicking any visible input
-    try {
-      await page.click('input:not([type="hidden"]):not([type="password"])');
-      await page.keyboard.type(config.appointyEmail, { delay: 30 });
-      emailFilled = true;
-      console.log('Filled email via keyboard');
-    } catch (e) {
-      console.log('Could not fill email:', e.message);
+  if (['rotate_token', 'add_token', 'revoke_token'].includes(req.body.action)) {
+    const feed = req.body.feed;
+    const source = feed === MERGED_FEED ? null : findSource(config, feed);
+    if (feed !== MERGED_FEED && !source) return res.status(404).send('Unknown feed');
+    
+    if (req.body.action === 'rotate_token') {
+      // The old URL stops working straight away
+      if (source) {
+        source.calendarToken = generateToken();
+      } else {
+        config.mergedCalendarToken = generateToken();
+      }
+      forgetTokenAccess([primaryAccessKey(feed)]);
+    } else if (req.body.action === 'add_token') {
+      let expiresAt;
+      try {
+        expiresAt = parseExpiryDate(req.body.expires);
+      } catch (error) {
+        return res.redirect('/admin?error=' + encodeURIComponent(error.message));
+      }
+      createFeedToken(config, { name: req.body.tokenName || 'Subscriber', feed, expiresAt });
+    } else {
+      const entry = feedTokensFor(config, feed).find(t => t.id === req.body.tokenId);
+      if (!entry) return res.status(404).send('Unknown token');
+      entry.revokedAt = entry.revokedAt || Date.now();
     }
+    saveConfig(config);
+    return res.redirect('/admin?saved=1');
   }
   
-  // Find and fill password field
-  const passwordEl = await page.$('input[type="password"]');
-  if (passwordEl) {
-    await passwordEl.click({ clickCount: 3 });
-    await passwordEl.type(config.appointyPassword, { delay: 30 });
-    console.log('Filled password');
-  }
-  
-  // Click submit button with extended selectors
-  const submitSelectors = [
-    'button[type="submit"]',
-    'input[type="submit"]',
-    'button[class*="submit" i]',
-    'button[class*="login" i]',
-    'button[class*="sign" i]',
-    'button[class*="btn" i]',
-    '[role="button"]',
-    'button'
-  ];
-  
-  let clicked = false;
-  for (const selector of submitSelectors) {
+  if (req.body.action === 'save_selectors') {
+    const source = findSource(config, req.body.sourceId);
+    if (!source) return res.status(404).send('Unknown source');
     try {
-      const btns = await page.$$(selector);
-      for (const btn of btns) {
-        const isVisible = await btn.isIntersectingViewport().catch(() => false);
-        const text = await btn.evaluate(el => el.innerText || el.value || '').catch(() => '');
-        if (isVisible && text.toLowerCase().match(/sign|log|continu|submit|next/i)) {
-          await btn.click();
-          clicked = true;
-          console.log('Clicked button:', text);
-          break;
-        }
-      }
-      if (clicked) break;
-    } catch {}
+      source.selectors = parseSelectorOverrides(source, req.body);
+    } catch (error) {
+      return res.redirect('/admin?error=' + encodeURIComponent('Selectors: ' + error.message));
+    }
+    saveConfig(config);
+    return res.redirect('/admin?saved=1');
   }
   
-  if (!clicked) {
-    // Just click the first visible button
+  if (req.body.action === 'test_selectors') {
+    const source = findSource(config, req.body.sourceId);
+    if (!source) return res.status(404).send('Unknown source');
+    // "live", or the HTML snapshot of one of this source's failed runs
+    let snapshot = null;
+    if (req.body.target !== 'live') {
+      const file = snapshotTargets(source).includes(req.body.target) && artifactPath(req.body.target);
+      if (!file || !fs.existsSync(file)) return res.redirect('/admin?error=' + encodeURIComponent('That snapshot is no longer available'));
+      snapshot = fs.readFileSync(file, 'utf8');
+    }
     try {
-      await page.click('button');
-      console.log('Clicked first button');
-    } catch {}
-  }
-  
-  // Wait for navigation or network
-  await Promise.race([
-    page.waitForNavigation({ waitUntil: 'networkidle2', timeout: 20000 }),
-    new Promise(r => setTimeout(r, 20000))
-  ]).catch(() => {});
-  
-  console.log('After first submit, URL:', page.url());
-  
-  // Check if we need to enter password on second page
-  await new Promise(r => setTimeout(r, 2000));
-  const passwordVisible = await page.$('input[type="password"]');
-  if (passwordVisible) {
-    const isReallyVisible = await passwordVisible.isIntersectingViewport().catch(() => false);
-    if (isReallyVisible) {
-      console.log('Password field on second page...');
-      await passwordVisible.click({ clickCount: 3 });
-      await passwordVisible.type(config.appointyPassword, { delay: 30 });
-      
-      // Click submit again
-      for (const selector of submitSelectors) {
-        try {
-          const btns = await page.$$(selector);
-          for (const btn of btns) {
-            const isVisible = await btn.isIntersectingViewport().catch(() => false);
-            if (isVisible) {
-              await btn.click();
-              break;
-            }
-          }
-        } catch {}
-      }
-      
-      await Promise.race([
-        page.waitForNavigation({ waitUntil: 'networkidle2', timeout: 20000 }),
-        new Promise(r => setTimeout(r, 20000))
-      ]).catch(() => {});
+      const report = await testSelectors(source, snapshot);
+      return res.send(selectorTestPage(source, req.body.target, report));
+    } catch (error) {
+      return res.redirect('/admin?error=' + encodeURIComponent('Selector test failed: ' + error.message));
     }
   }
   
-  console.log('Login completed, current URL:', page.url());
-}
-
-async function extractAppointments(page) {
-  return await page.evaluate(() => {
-    const results = [];
-    const bodyText = document.body.innerText;
-    
-    // Pattern for Appointy format: "Thu | Jan 08, 26" followed by "4:00pm"
-    // Also handles: "Mon | Jan 12, 26" etc.
-    const appointyPattern = /(\w{3})\s*\|\s*(\w{3})\s+(\d{1,2}),\s*(\d{2})\s*\n?\s*Scheduled\s*\n?\s*(\d{1,2}):(\d{2})(am|pm)/gi;
+  if (['save_verification', 'test_verification'].includes(req.body.action)) {
+    const source = findSource(config, req.body.sourceId);
+    if (!source) return res.status(404).send('Unknown source');
     
-    let match;
-    while ((match = appointyPattern.exec(bodyText)) !== null) {
-      const [, dayName, month, day, year, hour, minute, ampm] = match;
-      results.push({
-        title: 'Mathnasium Session',
-        dayName,
-        month,
-        day,
-        year: '20' + year,
-        hour,
-        minute,
-        ampm,
-        rawText: match[0]
-      });
+    if (req.body.action === 'save_verification') {
+      const previous = source.verification || {};
+      const method = req.body.verificationMethod in VERIFICATION_METHODS ? req.body.verificationMethod : 'prompt';
+      const totpSecret = req.body.totpSecret || previous.totpSecret || '';
+      if (method === 'totp' && !isValidTotpSecret(totpSecret)) {
+        return res.redirect('/admin?error=' + encodeURIComponent('Enter the TOTP secret (base32 or otpauth:// URI) from the account\'s authenticator setup'));
+      }
+      if (method === 'imap' && !req.body.imapHost) {
+        return res.redirect('/admin?error=' + encodeURIComponent('Enter the IMAP server to read verification emails from'));
+      }
+      try {
+        new RegExp(req.body.imapCodePattern || '');
+      } catch (error) {
+        return res.redirect('/admin?error=' + encodeURIComponent('Code pattern: ' + error.message));
+      }
+      source.verification = {
+        method,
+        totpSecret,
+        imap: {
+          host: req.body.imapHost || '',
+          port: req.body.imapPort || '993',
+          username: req.body.imapUsername || '',
+          password: req.body.imapPassword || previous.imap?.password || '',
+          mailbox: req.body.imapMailbox || 'INBOX',
+          from: req.body.imapFrom || '',
+          codePattern: req.body.imapCodePattern || ''
+        }
+      };
+      saveConfig(config);
+      return res.redirect('/admin?saved=1');
     }
     
-    // If that didn't work, try simpler pattern
-    if (results.length === 0) {
-      // Look for "Jan 08, 26" or "Jan 12, 26" patterns
-      const datePattern = /(\w{3})\s+(\d{1,2}),\s*(\d{2,4})/g;
-      const timePattern = /(\d{1,2}):(\d{2})\s*(am|pm)/i;
-      
-      let dateMatch;
-      while ((dateMatch = datePattern.exec(bodyText)) !== null) {
-        const nearbyText = bodyText.substring(dateMatch.index, dateMatch.index + 200);
-        const timeMatch = timePattern.exec(nearbyText);
-        
-        if (timeMatch) {
-          let year = dateMatch[3];
-          if (year.length === 2) year = '20' + year;
-          
-          results.push({
-            title: 'Mathnasium Session',
-            month: dateMatch[1],
-            day: dateMatch[2],
-            year,
-            hour: timeMatch[1],
-            minute: timeMatch[2],
-            ampm: timeMatch[3],
-            rawText: nearbyText.substring(0, 100)
-          });
-        }
+    const settings = source.verification || {};
+    try {
+      if (settings.method === 'totp') {
+        return res.redirect('/admin?verification=' + encodeURIComponent(`Current code: ${totp(settings.totpSecret)} (compare with the authenticator app)`));
+      }
+      if (settings.method === 'imap') {
+        const messages = await testImap(settings.imap);
+        return res.redirect('/admin?verification=' + encodeURIComponent(`Mailbox OK (${messages} messages)`));
       }
+    } catch (error) {
+      return res.redirect('/admin?error=' + encodeURIComponent('Verification: ' + error.message));
     }
-    
-    console.log('Extracted', results.length, 'raw appointments');
-    return results;
-  });
-}
+    return res.redirect('/admin?error=' + encodeURIComponent('Codes are entered by hand; there is nothing to test'));
+  }
+  
+  if (req.body.action === 'submit_code') {
+    const source = findSource(config, req.body.sourceId);
+    if (!source) return res.status(404).send('Unknown source');
+    if (!provideCode(source.id, req.body.code || '')) {
+      return res.redirect('/admin?error=' + encodeURIComponent('That scrape is no longer waiting for a code'));
+    }
+    return res.redirect(`/admin/runs/${source.id}`);
+  }
+  
+  if (req.body.action === 'run_now') {
+    const source = findSource(config, req.body.sourceId);
+    if (!source) return res.status(404).send('Unknown source');
+    if (!isScrapeRunning(source.id)) {
+      runScrape(source, 'manual').catch(error => console.error('Error:', error.message));
+    }
+    return res.redirect(`/admin/runs/${source.id}`);
+  }
+  
+  if (req.body.action === 'delete_source') {
+    const source = findSource(config, req.body.sourceId);
+    if (!source) return res.status(404).send('Unknown source');
+    const tokens = feedTokensFor(config, source.id);
+    config.sources = config.sources.filter(s => s !== source);
+    config.feedTokens = (config.feedTokens || []).filter(t => !tokens.includes(t));
+    saveConfig(config);
+    forgetTokenAccess([primaryAccessKey(source.id), ...tokens.map(t => t.id)]);
+    deleteRuns(source.id);
+    deleteStore(source.id);
+    clearBrowserSession(source.id);
+    clearCalDAVState(source.id);
+    return res.redirect('/admin?saved=1');
+  }
+  
+  res.redirect('/admin');
+}));
 
-function parseAppointmentData(raw) {
+// Scrape history of one source, with live progress of a running scrape
+app.get('/admin/runs/:sourceId', (req, res) => {
+  const session = getSession(parseCookies(req.headers.cookie).session);
+  if (!session) return res.redirect('/admin');
+  const source = findSource(loadConfig(), req.params.sourceId);
+  if (!source) return res.status(404).send('Unknown source');
+  res.send(runsPage(source, loadRuns(source.id), getActiveRun(source.id), session.csrf));
+});
+
+app.get('/admin/runs/:sourceId/progress', (req, res) => {
+  if (!getSession(parseCookies(req.headers.cookie).session)) return res.status(401).json({ error: 'Not logged in' });
+  res.json({ run: getActiveRun(req.params.sourceId) });
+});
+
+// Failure screenshots and HTML snapshots. The HTML is sent as plain text so the
+// captured page's scripts never run on the admin panel's origin.
+app.get('/admin/runs/:sourceId/artifacts/:name', (req, res) => {
+  if (!getSession(parseCookies(req.headers.cookie).session)) return res.redirect('/admin');
+  const file = artifactPath(req.params.name);
+  if (!file) return res.status(404).send('Not found');
+  if (file.endsWith('.html')) res.type('text/plain');
+  res.sendFile(file);
+});
+
+// Resolve the feed for a calendar request and make sure it has data. Sends the
+// error/202 response itself and returns null when there is nothing to serve.
+async function loadFeedForRequest(req, res) {
+  const config = loadConfig();
+  
+  const feed = resolveFeed(config, req.params.token);
+  
+  if (!feed) {
+    res.status(403).send('Invalid token');
+    return null;
+  }
+  recordTokenAccess(feed.accessKey, req.headers['user-agent']);
+  
+  let filters;
   try {
-    // Parse the new format: { month: 'Jan', day: '08', year: '2026', hour: '4', minute: '00', ampm: 'pm' }
-    const monthMap = {
-      'jan': 0, 'feb': 1, 'mar': 2, 'apr': 3, 'may': 4, 'jun': 5,
-      'jul': 6, 'aug': 7, 'sep': 8, 'oct': 9, 'nov': 10, 'dec': 11
-    };
-    
-    const monthIndex = monthMap[raw.month?.toLowerCase()];
-    if (monthIndex === undefined) {
-      console.log('Unknown month:', raw.month);
-      return null;
+    filters = parseFeedFilters(req.query, feed.sources, feed.timezone);
+  } catch (error) {
+    res.status(400).send(error.message);
+    return null;
+  }
+  
+  const { sources } = filters;
+  const forceRefresh = req.query.refresh === 'true';
+  let cacheStatus = 'HIT';
+  
+  if (forceRefresh) {
+    if (sources.some(s => isScrapeRunning(s.id))) {
+      // Someone else's refresh is already running - don't queue another one
+      cacheStatus = 'STALE';
+    } else {
+      try {
+        // Scrapes queue on the browser lock, so this still runs one at a time
+        await Promise.all(sources.map(s => runScrape(s, 'feed refresh')));
+        cacheStatus = 'MISS';
+      } catch (error) {
+        console.error('Error:', error.message);
+        cacheStatus = 'STALE';
+      }
     }
-    
-    const year = parseInt(raw.year);
-    const day = parseInt(raw.day);
-    let hour = parseInt(raw.hour);
-    const minute = parseInt(raw.minute);
-    const ampm = raw.ampm?.toLowerCase();
-    
-    // Convert to 24-hour format
-    if (ampm === 'pm' && hour !== 12) hour += 12;
-    if (ampm === 'am' && hour === 12) hour = 0;
-    
-    const start = new Date(year, monthIndex, day, hour, minute, 0, 0);
-    
-    // Default session length is 60 minutes based on the page content
-    const end = new Date(start.getTime() + 60 * 60 * 1000);
-    
-    console.log('Parsed appointment:', start.toISOString(), '-', end.toISOString());
-    
-    return {
-      title: raw.title || 'Mathnasium Session',
-      start,
-      end
-    };
-  } catch (e) {
-    console.log('Parse error:', e.message);
+  }
+  
+  // Serve from the persisted stores; the background scheduler keeps them fresh
+  const scrapedTimes = [];
+  const changedTimes = [];
+  const failures = [];
+  for (const source of sources) {
+    const { scrapedAt, changedAt } = loadStore(source.id);
+    const [lastRun] = loadRuns(source.id);
+    if (lastRun?.outcome === 'failed') failures.push(lastRun.reason || 'error');
+    if (scrapedAt) {
+      scrapedTimes.push(scrapedAt);
+      changedTimes.push(changedAt);
+    } else if (!isScrapeRunning(source.id)) {
+      // Cold store: start a background scrape instead of holding the request open
+      runScrape(source, 'first feed request').catch(error => console.error('Error:', error.message));
+    }
+  }
+  
+  // Failed scrapes never replace the stored appointments, so the feed keeps
+  // serving the last good data; the header says why it isn't fresh
+  if (failures.length) res.setHeader('X-Scrape-Failed', [...new Set(failures)].join(', '));
+  
+  if (scrapedTimes.length === 0) {
+    res.setHeader('Retry-After', '300');
+    const reasons = [...new Set(failures)].map(reason => RUN_REASONS[reason] || reason).join(', ');
+    res.status(202).send(reasons
+      ? `Appointments could not be fetched yet (${reasons}), trying again in the background`
+      : 'Appointments are being fetched, try again in a few minutes');
     return null;
   }
+  
+  const lastScrape = new Date(Math.min(...scrapedTimes));
+  // HTTP dates only have second precision; round down so If-Modified-Since compares cleanly
+  const lastModified = new Date(Math.floor(Math.max(...changedTimes, configChangedAt()) / 1000) * 1000);
+  if (cacheStatus === 'STALE') res.setHeader('Retry-After', '300');
+  res.setHeader('X-Cache', cacheStatus);
+  res.setHeader('X-Last-Scrape', lastScrape.toISOString());
+  
+  return {
+    appointments: filterAppointments(loadFeedAppointments(sources), filters),
+    options: {
+      name: feed.name,
+      timezone: feed.timezone,
+      events: config.events,
+      ttl: getScrapeInterval(config) / 1000,
+      lastScrape,
+      lastModified
+    }
+  };
 }
 
-function generateICS(rawAppointments, calendarName) {
-  const calendar = ical({
-    name: calendarName,
-    timezone: 'America/New_York',
-    ttl: 60 * 60
-  });
+// Send a feed body with validators. The ETag is a hash of the exact bytes, so it
+// only changes with the content; Express answers 304 itself when the request's
+// If-None-Match / If-Modified-Since still match (req.fresh).
+function sendFeed(res, body, lastModified) {
+  const etag = crypto.createHash('sha1').update(body).digest('base64url');
+  res.setHeader('ETag', `"${etag}"`);
+  res.setHeader('Last-Modified', lastModified.toUTCString());
+  res.setHeader('Cache-Control', 'no-cache');
+  res.send(body);
+}
+
+// Calendar endpoint: /calendar/<token> or /calendar/<token>.<ics|json|csv|jcal>
+app.get(['/calendar/:token.:format', '/calendar/:token'], asyncRoute(async (req, res) => {
+  const format = req.params.format || 'ics';
+  res.on('finish', () => recordFeedRequest(FORMATS.includes(format) ? format : 'unknown', res.statusCode));
+  if (!FORMATS.includes(format)) {
+    return res.status(404).send('Unknown format');
+  }
   
-  for (const raw of rawAppointments) {
-    const apt = parseAppointmentData(raw);
-    if (!apt) continue;
-    
-    const uid = crypto.createHash('md5')
-      .update(`${apt.start.toISOString()}-${apt.end.toISOString()}`)
-      .digest('hex') + '@appointy';
-    
-    calendar.createEvent({
-      uid,
-      start: apt.start,
-      end: apt.end,
-      summary: apt.title,
-      location: 'Mathnasium of Portland'
-    }).createAlarm({ type: 'display', trigger: -60 * 60 });
+  const data = await loadFeedForRequest(req, res);
+  if (!data) return;
+  const { appointments, options } = data;
+  
+  if (format === 'json') {
+    res.setHeader('Content-Type', 'application/json; charset=utf-8');
+    return sendFeed(res, JSON.stringify(toJSON(appointments, options)), options.lastModified);
   }
   
-  return calendar.toString();
-}
+  if (format === 'csv') {
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `inline; filename="${options.name.replace(/[^\w.-]+/g, '_')}.csv"`);
+    return sendFeed(res, toCSV(appointments, options), options.lastModified);
+  }
+  
+  if (format === 'jcal') {
+    res.setHeader('Content-Type', 'application/calendar+json; charset=utf-8');
+    return sendFeed(res, JSON.stringify(toJCal(appointments, options)), options.lastModified);
+  }
+  
+  res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+  sendFeed(res, generateICS(appointments, options), options.lastModified);
+}));
+
+// Health check
+// Answers 503 once any source's data is stale or it never scraped successfully,
+// so container healthchecks and uptime monitors notice broken scrapes
+app.get('/health', asyncRoute(async (req, res) => {
+  const config = loadConfig();
+  const thresholdMs = healthThresholdMs(getScrapeInterval(config));
+  const sources = config.sources.map(source => sourceHealth(source, thresholdMs));
+  const configured = config.sources.some(s => !!s.appointyEmail);
+  
+  let status = configured ? 'ok' : 'unconfigured';
+  if (sources.some(s => s.status === 'stale' || s.status === 'failing')) status = 'unhealthy';
+  
+  res.status(status === 'unhealthy' ? 503 : 200).json({
+    status,
+    method: 'puppeteer',
+    configured,
+    maxAgeSeconds: thresholdMs / 1000,
+    sources
+  });
+}));
+
+app.get('/metrics', (req, res) => {
+  res.setHeader('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+  res.send(renderMetrics(loadConfig()));
+});
+
+// Root redirect
+app.get('/', (req, res) => res.redirect('/admin'));
 
 // ==================== HTML PAGES ====================
 
-function setupPage() {
+// Free-text IANA zone with browser suggestions from timezoneList(); validated on save
+function timezoneInput(value) {
+  return `<input type="text" name="timezone" list="timezones" required value="${escapeHtml(value)}">`;
+}
+
+function adapterSelect(value) {
+  const options = listAdapters().map(a => `<option value="${a.id}"${a.id === value ? ' selected' : ''}>${escapeHtml(a.label)}</option>`);
+  return `<select name="adapter">${options.join('')}</select>`;
+}
+
+function timezoneList() {
+  return `<datalist id="timezones">${Intl.supportedValuesOf('timeZone').map(tz => `<option value="${tz}">`).join('')}</datalist>`;
+}
+
+function setupPage(csrf) {
   return `<!DOCTYPE html>
 <html><head><title>Setup</title>
 <meta name="viewport" content="width=device-width, initial-scale=1">
@@ -687,6 +657,7 @@ function setupPage() {
   <h1>📅 Initial Setup</h1>
   <p class="sub">Configure your Appointy calendar sync</p>
   <form method="POST">
+    ${csrfField(csrf)}
     <input type="hidden" name="action" value="setup">
     <label>Admin Password</label>
     <input type="password" name="adminPassword" required placeholder="Choose a password">
@@ -695,16 +666,19 @@ function setupPage() {
     <label>Appointy Password</label>
     <input type="password" name="appointyPassword" required>
     <label>Booking URL</label>
-    <input type="text" name="appointyBookingUrl" value="https://mathnasium-booking.appointy.com/portlandme/my-bookings">
+    <input type="text" name="appointyBookingUrl" value="${getAdapter(DEFAULT_ADAPTER).defaults.bookingUrl}">
+    <label>Timezone of the Location</label>
+    ${timezoneInput(DEFAULT_TIMEZONE)}
     <label>Calendar Name</label>
     <input type="text" name="calendarName" value="Mathnasium Appointments">
     <button type="submit">Complete Setup</button>
   </form>
 </div>
+${timezoneList()}
 </body></html>`;
 }
 
-function loginPage(error = '') {
+function loginPage(error, csrf) {
   return `<!DOCTYPE html>
 <html><head><title>Login</title>
 <meta name="viewport" content="width=device-width, initial-scale=1">
@@ -722,6 +696,7 @@ function loginPage(error = '') {
   <h1>🔐 Login</h1>
   ${error ? `<div class="error">${error}</div>` : ''}
   <form method="POST">
+    ${csrfField(csrf)}
     <input type="hidden" name="action" value="login">
     <input type="password" name="password" placeholder="Admin Password" required autofocus>
     <button type="submit">Login</button>
@@ -730,10 +705,515 @@ function loginPage(error = '') {
 </body></html>`;
 }
 
-function adminPage(config, req) {
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/"/g, '&quot;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+// Password fields stay empty; the placeholder only says whether one is stored
+function secretPlaceholder(value) {
+  return value ? 'Saved - leave blank to keep' : '';
+}
+
+function formatDate(ms) {
+  return new Date(ms).toLocaleDateString();
+}
+
+function lastAccess(access) {
+  if (!access) return 'Never polled';
+  return `Last polled ${new Date(access.at).toLocaleString()}${access.userAgent ? ` by ${escapeHtml(access.userAgent)}` : ''}`;
+}
+
+// Named tokens of one feed, plus forms to add one and to rotate the feed's own URL
+function subscribersSection(config, feed, host, csrf) {
+  const access = loadTokenAccess();
+  const tokens = feedTokensFor(config, feed);
+  const active = tokens.filter(t => isTokenActive(t));
+  
+  const rows = tokens.map(t => {
+    const status = t.revokedAt
+      ? `revoked ${formatDate(t.revokedAt)}`
+      : t.expiresAt && !isTokenActive(t) ? `expired ${formatDate(t.expiresAt)}`
+      : t.expiresAt ? `expires ${formatDate(t.expiresAt)}` : 'no expiry';
+    return `
+      <div class="token${isTokenActive(t) ? '' : ' inactive'}">
+        <div><strong>${escapeHtml(t.name)}</strong> · ${status}</div>
+        ${isTokenActive(t) ? `<div class="url-box">${escapeHtml(`http://${host}/calendar/${t.token}`)}</div>` : ''}
+        <div class="meta">Created ${formatDate(t.createdAt)} · ${lastAccess(access[t.id])}</div>
+        ${isTokenActive(t) ? `<form method="POST" data-name="${escapeHtml(t.name)}" onsubmit="return confirm('Revoke access for ' + this.dataset.name + '?')">
+          ${csrfField(csrf)}
+          <input type="hidden" name="action" value="revoke_token">
+          <input type="hidden" name="feed" value="${feed}">
+          <input type="hidden" name="tokenId" value="${t.id}">
+          <button type="submit" class="danger">Revoke</button>
+        </form>` : ''}
+      </div>`;
+  }).join('');
+  
+  return `
+    <details>
+      <summary>Subscribers (${active.length} active)</summary>
+      ${rows}
+      <form method="POST">
+        ${csrfField(csrf)}
+        <input type="hidden" name="action" value="add_token">
+        <input type="hidden" name="feed" value="${feed}">
+        <label>Subscriber Name</label>
+        <input type="text" name="tokenName" required placeholder="Grandma's iPad">
+        <label>Expires (optional)</label>
+        <input type="date" name="expires">
+        <button type="submit">Add Subscriber URL</button>
+      </form>
+      <form method="POST" onsubmit="return confirm('Replace the main URL? Calendars subscribed to the current one stop updating.')">
+        ${csrfField(csrf)}
+        <input type="hidden" name="action" value="rotate_token">
+        <input type="hidden" name="feed" value="${feed}">
+        <button type="submit" class="danger">Rotate Main URL</button>
+      </form>
+    </details>`;
+}
+
+// HTML snapshots saved by failed runs, newest first
+function snapshotTargets(source) {
+  return loadRuns(source.id).map(run => run.artifacts?.html).filter(Boolean);
+}
+
+function selectorsSection(source, csrf) {
+  const adapter = getAdapter(source.adapter);
+  const overrides = source.selectors || {};
+  const count = Object.keys(overrides).filter(key => key in adapter.selectors).length;
+  
+  const fields = Object.entries(adapter.selectors).map(([key, defaultValue]) => {
+    const value = overrides[key];
+    if (Array.isArray(defaultValue)) {
+      return `
+        <label>${key} (one per line)</label>
+        <textarea name="selector_${key}" rows="3" placeholder="${escapeHtml(defaultValue.join('\n'))}">${escapeHtml((value || []).join('\n'))}</textarea>`;
+    }
+    return `
+        <label>${key}${isPatternKey(key) ? ' (regular expression)' : ''}</label>
+        <input type="text" name="selector_${key}" value="${escapeHtml(value)}" placeholder="${escapeHtml(defaultValue)}">`;
+  }).join('');
+  
+  const snapshots = snapshotTargets(source).slice(0, 5);
+  
+  return `
+    <details>
+      <summary>Selectors (${count ? `${count} overridden` : 'site defaults'})</summary>
+      <div class="meta">Leave a field blank to use the ${escapeHtml(adapter.label)} default shown in it.</div>
+      <form method="POST">
+        ${csrfField(csrf)}
+        <input type="hidden" name="action" value="save_selectors">
+        <input type="hidden" name="sourceId" value="${source.id}">
+        ${fields}
+        <button type="submit">Save Selectors</button>
+      </form>
+      <form method="POST">
+        ${csrfField(csrf)}
+        <input type="hidden" name="action" value="test_selectors">
+        <input type="hidden" name="sourceId" value="${source.id}">
+        <label>Test saved selectors against</label>
+        <select name="target">
+          <option value="live">Live booking page (saved session, no login)</option>
+          ${snapshots.map(name => `<option value="${name}">Snapshot from failed run ${escapeHtml(name.replace(/\.html$/, ''))}</option>`).join('')}
+        </select>
+        <button type="submit" class="secondary">Test Selectors</button>
+      </form>
+    </details>`;
+}
+
+function codePrompt(source, csrf) {
+  return `
+    <form method="POST" action="/admin" class="code-prompt">
+      ${csrfField(csrf)}
+      <input type="hidden" name="action" value="submit_code">
+      <input type="hidden" name="sourceId" value="${source.id}">
+      <label>🔐 The booking site sent a verification code - enter it to continue the login</label>
+      <input type="text" name="code" required autocomplete="one-time-code" inputmode="numeric" autofocus>
+      <button type="submit">Continue Login</button>
+    </form>`;
+}
+
+function verificationSection(source, csrf) {
+  const settings = source.verification || {};
+  const method = settings.method || 'prompt';
+  const imap = settings.imap || {};
+  const options = Object.entries(VERIFICATION_METHODS)
+    .map(([value, label]) => `<option value="${value}"${value === method ? ' selected' : ''}>${label}</option>`);
+  
+  return `
+    <details>
+      <summary>Verification codes (${escapeHtml(VERIFICATION_METHODS[method])})</summary>
+      <div class="meta">Used only when the site asks for a one-time code after the password.</div>
+      <form method="POST">
+        ${csrfField(csrf)}
+        <input type="hidden" name="action" value="save_verification">
+        <input type="hidden" name="sourceId" value="${source.id}">
+        <label>Get the code from</label>
+        <select name="verificationMethod">${options.join('')}</select>
+        <label>TOTP secret or otpauth:// URI (authenticator app)</label>
+        <input type="password" name="totpSecret" placeholder="${secretPlaceholder(settings.totpSecret)}">
+        <label>IMAP server (email inbox)</label>
+        <div class="row">
+          <input type="text" name="imapHost" value="${escapeHtml(imap.host)}" placeholder="imap.example.com">
+          <input type="text" name="imapPort" value="${escapeHtml(imap.port || '993')}" style="width:90px">
+        </div>
+        <label>IMAP username</label>
+        <input type="text" name="imapUsername" value="${escapeHtml(imap.username)}">
+        <label>IMAP password / app password</label>
+        <input type="password" name="imapPassword" placeholder="${secretPlaceholder(imap.password)}">
+        <label>Mailbox</label>
+        <input type="text" name="imapMailbox" value="${escapeHtml(imap.mailbox || 'INBOX')}">
+        <label>Only emails from (optional)</label>
+        <input type="text" name="imapFrom" value="${escapeHtml(imap.from)}" placeholder="noreply@appointy.com">
+        <label>Code pattern (optional regular expression, first group is the code)</label>
+        <input type="text" name="imapCodePattern" value="${escapeHtml(imap.codePattern)}" placeholder="Default: 6 digits next to the word &quot;code&quot;">
+        <button type="submit">Save</button>
+      </form>
+      <form method="POST">
+        ${csrfField(csrf)}
+        <input type="hidden" name="action" value="test_verification">
+        <input type="hidden" name="sourceId" value="${source.id}">
+        <button type="submit" class="secondary">Test</button>
+      </form>
+    </details>`;
+}
+
+function sourceCard(config, source, host, csrf) {
+  const calendarUrl = `http://${host}/calendar/${source.calendarToken}`;
+  const { scrapedAt, appointments } = loadStore(source.id);
+  const lastScrape = scrapedAt
+    ? `${appointments.length} appointments, last scraped ${new Date(scrapedAt).toLocaleString()}`
+    : 'Not scraped yet';
+  
+  // A failed scrape leaves the store alone, so say what the feed is still serving
+  const [lastRun] = loadRuns(source.id);
+  const pause = scrapePause(source.id);
+  const failure = lastRun?.outcome === 'failed' ? `
+    <div class="error">
+      ⚠️ Last scrape failed (${escapeHtml(runReason(lastRun))}): ${escapeHtml(lastRun.error)}<br>
+      ${scrapedAt ? `The feed still serves the appointments from ${new Date(scrapedAt).toLocaleString()}.` : 'The feed has nothing to serve yet.'}
+      ${pause ? `<br>After ${pause.failures} failed runs in a row, scraping is paused until ${new Date(pause.until).toLocaleString()}. Run Now tries anyway.` : ''}
+    </div>` : '';
+  
+  return `
+  <div class="card">
+    <div class="card-title">📚 ${escapeHtml(source.calendarName)}</div>
+    <div class="meta">${lastScrape} · ${escapeHtml(source.timezone || DEFAULT_TIMEZONE)}</div>
+    ${failure}
+    <div class="url-box" id="url-${source.id}">${escapeHtml(calendarUrl)}</div>
+    <button type="button" class="copy-btn" onclick="navigator.clipboard.writeText(document.getElementById('url-${source.id}').textContent).then(()=>this.textContent='✓ Copied!')">📋 Copy URL</button>
+    <div class="meta" style="margin-top:8px">${lastAccess(loadTokenAccess()[primaryAccessKey(source.id)])}</div>
+    ${isAwaitingCode(source.id) ? codePrompt(source, csrf) : ''}
+    <form method="POST" class="row">
+      ${csrfField(csrf)}
+      <input type="hidden" name="action" value="run_now">
+      <input type="hidden" name="sourceId" value="${source.id}">
+      <button type="submit" class="secondary">${isScrapeRunning(source.id) ? '⏳ Scraping... (view progress)' : '▶ Run Now'}</button>
+      <a class="button secondary" href="/admin/runs/${source.id}">History</a>
+    </form>
+    ${subscribersSection(config, source.id, host, csrf)}
+    ${selectorsSection(source, csrf)}
+    ${verificationSection(source, csrf)}
+    <details>
+      <summary>Edit account</summary>
+      <form method="POST">
+        ${csrfField(csrf)}
+        <input type="hidden" name="action" value="save_source">
+        <input type="hidden" name="sourceId" value="${source.id}">
+        <label>Calendar Name</label>
+        <input type="text" name="calendarName" value="${escapeHtml(source.calendarName)}">
+        <label>Appointy Email</label>
+        <input type="email" name="appointyEmail" value="${escapeHtml(source.appointyEmail)}">
+        <label>Appointy Password</label>
+        <input type="password" name="appointyPassword" placeholder="${secretPlaceholder(source.appointyPassword)}">
+        <label>Booking URL</label>
+        <input type="text" name="appointyBookingUrl" value="${escapeHtml(source.appointyBookingUrl)}">
+        <label>Site</label>
+        ${adapterSelect(getAdapter(source.adapter).id)}
+        <label>Default Title (for bookings without a service name)</label>
+        <input type="text" name="defaultTitle" value="${escapeHtml(source.defaultTitle)}" placeholder="${escapeHtml(getAdapter(source.adapter).defaults.title)}">
+        <label>Default Location (for bookings without one)</label>
+        <input type="text" name="defaultLocation" value="${escapeHtml(source.defaultLocation)}" placeholder="${escapeHtml(getAdapter(source.adapter).defaults.location)}">
+        <label>Timezone</label>
+        ${timezoneInput(source.timezone || DEFAULT_TIMEZONE)}
+        <button type="submit">Save</button>
+      </form>
+      <form method="POST" onsubmit="return confirm('Remove this account and its calendar feed?')">
+        ${csrfField(csrf)}
+        <input type="hidden" name="action" value="delete_source">
+        <input type="hidden" name="sourceId" value="${source.id}">
+        <button type="submit" class="danger">Remove</button>
+      </form>
+    </details>
+    <details>
+      <summary>CalDAV sync ${source.caldav?.url ? '(on)' : '(off)'}</summary>
+      <form method="POST">
+        ${csrfField(csrf)}
+        <input type="hidden" name="action" value="save_caldav">
+        <input type="hidden" name="sourceId" value="${source.id}">
+        <label>Collection URL (blank to turn off)</label>
+        <input type="url" name="caldavUrl" value="${escapeHtml(source.caldav?.url)}" placeholder="https://cloud.example.com/remote.php/dav/calendars/me/mathnasium/">
+        <label>Username</label>
+        <input type="text" name="caldavUsername" value="${escapeHtml(source.caldav?.username)}">
+        <label>Password / App Password</label>
+        <input type="password" name="caldavPassword" placeholder="${secretPlaceholder(source.caldav?.password)}">
+        <button type="submit">Save</button>
+      </form>
+      <form method="POST" class="row">
+        ${csrfField(csrf)}
+        <input type="hidden" name="sourceId" value="${source.id}">
+        <button type="submit" name="action" value="test_caldav" class="secondary">Test Connection</button>
+        <button type="submit" name="action" value="sync_caldav" class="secondary">Sync Now</button>
+      </form>
+    </details>
+  </div>`;
+}
+
+function mergedCard(config, host, csrf) {
+  const calendarUrl = `http://${host}/calendar/${config.mergedCalendarToken}`;
+  
+  return `
+  <div class="card">
+    <div class="card-title">🗂️ ${escapeHtml(config.mergedCalendarName || 'All Appointments')}</div>
+    <div class="meta">Merged feed of all ${config.sources.length} accounts</div>
+    <div class="url-box" id="url-merged">${escapeHtml(calendarUrl)}</div>
+    <button type="button" class="copy-btn" onclick="navigator.clipboard.writeText(document.getElementById('url-merged').textContent).then(()=>this.textContent='✓ Copied!')">📋 Copy URL</button>
+    <div class="meta" style="margin-top:8px">${lastAccess(loadTokenAccess()[primaryAccessKey(MERGED_FEED)])}</div>
+    ${subscribersSection(config, MERGED_FEED, host, csrf)}
+    <div class="instructions" style="margin-top:12px">
+      Any feed URL accepts filters, e.g. <code>?source=${escapeHtml(config.sources[0].calendarName)}</code>,
+      <code>?from=2026-01-01&amp;to=2026-06-30</code> or <code>?status=scheduled</code>.
+    </div>
+  </div>`;
+}
+
+function eventsCard(config, csrf) {
+  const events = { ...DEFAULT_EVENT_SETTINGS, ...config.events };
+  
+  return `
+  <div class="card">
+    <div class="card-title">🗓️ Calendar Events</div>
+    <div class="meta">Placeholders: {title} {service} {staff} {student} {location} {status} {account}</div>
+    <form method="POST">
+      ${csrfField(csrf)}
+      <input type="hidden" name="action" value="save_events">
+      <label>Event Title</label>
+      <input type="text" name="summaryTemplate" value="${escapeHtml(events.summaryTemplate)}" placeholder="{service} with {staff}">
+      <label>Event Notes (blank for the built-in details)</label>
+      <textarea name="descriptionTemplate" rows="4" placeholder="Student: {student}&#10;Tutor: {staff}">${escapeHtml(events.descriptionTemplate)}</textarea>
+      <label class="check"><input type="checkbox" name="alarmsEnabled" ${events.alarmMinutes.length ? 'checked' : ''}> Reminders</label>
+      <label>Remind Before (e.g. 1d, 30m)</label>
+      <input type="text" name="alarmOffsets" value="${escapeHtml(formatAlarmOffsets(events.alarmMinutes.length ? events.alarmMinutes : DEFAULT_EVENT_SETTINGS.alarmMinutes))}">
+      <label>Travel Time (minutes, reminders count back from departure)</label>
+      <input type="number" name="travelMinutes" min="0" value="${events.travelMinutes}">
+      <button type="submit">Save</button>
+    </form>
+  </div>`;
+}
+
+function notificationsCard(config, csrf) {
+  const n = config.notifications || {};
+  
+  return `
+  <div class="card">
+    <div class="card-title">🔔 Change Notifications</div>
+    <div class="meta">Sent for every new, moved or cancelled session after a scrape</div>
+    <form method="POST">
+      ${csrfField(csrf)}
+      <input type="hidden" name="action" value="save_notifications">
+      <label>Webhook URL (JSON POST)</label>
+      <input type="url" name="webhookUrl" value="${escapeHtml(n.webhookUrl)}" placeholder="https://example.com/hooks/appointy">
+      <label>ntfy Topic URL</label>
+      <input type="url" name="ntfyUrl" value="${escapeHtml(n.ntfyUrl)}" placeholder="https://ntfy.sh/my-topic">
+      <label>ntfy Access Token (optional)</label>
+      <input type="password" name="ntfyToken" placeholder="${secretPlaceholder(n.ntfyToken)}">
+      <label>Gotify Server URL</label>
+      <input type="url" name="gotifyUrl" value="${escapeHtml(n.gotifyUrl)}" placeholder="https://gotify.example.com">
+      <label>Gotify App Token</label>
+      <input type="password" name="gotifyToken" placeholder="${secretPlaceholder(n.gotifyToken)}">
+      <label>SMTP Host</label>
+      <input type="text" name="smtpHost" value="${escapeHtml(n.smtpHost)}" placeholder="smtp.example.com">
+      <label>SMTP Port</label>
+      <input type="number" name="smtpPort" value="${escapeHtml(n.smtpPort || 587)}">
+      <label class="check"><input type="checkbox" name="smtpSecure" ${n.smtpSecure ? 'checked' : ''}> Use TLS (port 465)</label>
+      <label>SMTP Username</label>
+      <input type="text" name="smtpUser" value="${escapeHtml(n.smtpUser)}">
+      <label>SMTP Password</label>
+      <input type="password" name="smtpPassword" placeholder="${secretPlaceholder(n.smtpPassword)}">
+      <label>Email From</label>
+      <input type="email" name="emailFrom" value="${escapeHtml(n.emailFrom)}">
+      <label>Email To</label>
+      <input type="text" name="emailTo" value="${escapeHtml(n.emailTo)}" placeholder="parent@example.com, other@example.com">
+      <button type="submit">Save</button>
+    </form>
+    <form method="POST">
+      ${csrfField(csrf)}
+      <input type="hidden" name="action" value="test_notifications">
+      <button type="submit" class="secondary">Send Test Notification</button>
+    </form>
+  </div>`;
+}
+
+function formatDuration(ms) {
+  if (ms == null) return '';
+  const seconds = Math.round(ms / 1000);
+  return seconds < 60 ? `${seconds}s` : `${Math.floor(seconds / 60)}m ${seconds % 60}s`;
+}
+
+function runReason(run) {
+  return RUN_REASONS[run.reason] || RUN_REASONS.error;
+}
+
+function runRow(source, run) {
+  const artifacts = Object.entries(run.artifacts || {})
+    .map(([kind, name]) => `<a href="/admin/runs/${source.id}/artifacts/${name}" target="_blank">${kind}</a>`)
+    .join(' · ');
+  
+  return `
+    <details class="run ${run.outcome}">
+      <summary>
+        <span class="outcome">${run.outcome === 'success' ? '✓' : '✗'}</span>
+        ${new Date(run.startedAt).toLocaleString()} · ${formatDuration(run.durationMs)} ·
+        ${run.outcome === 'success' ? `${run.appointments} appointments` : `${escapeHtml(runReason(run))}: ${escapeHtml(run.error)}`}
+      </summary>
+      <div class="meta">
+        Trigger: ${escapeHtml(run.trigger)} · Login: ${escapeHtml(run.loginPath || '-')} · Read from: ${escapeHtml(run.method || '-')}
+        ${run.attempts > 1 ? `· Attempts: ${run.attempts}` : ''}
+        ${run.reason === 'no_bookings' ? `· ${RUN_REASONS.no_bookings}` : ''}
+        ${artifacts ? `<br>Diagnostics: ${artifacts}` : ''}
+      </div>
+      <ol class="steps">${run.steps.map(s => `<li><span>${new Date(s.at).toLocaleTimeString()}</span> ${escapeHtml(s.message)}</li>`).join('')}</ol>
+    </details>`;
+}
+
+function selectorTestPage(source, target, report) {
+  const where = target === 'live'
+    ? `Live page: ${escapeHtml(report.url)}${report.loginPage ? ' (login page - the saved session has expired)' : ''}`
+    : `Snapshot ${escapeHtml(target)}`;
+  const rows = report.checks.map(check => `
+      <tr class="${check.matches ? 'hit' : 'miss'}">
+        <td>${check.key}</td>
+        <td><code>${escapeHtml(check.value)}</code></td>
+        <td>${check.error ? escapeHtml(check.error) : check.matches}</td>
+        <td><code>${escapeHtml(check.sample || '')}</code></td>
+      </tr>`).join('');
+  const bookings = report.bookings.slice(0, 10).map(b =>
+    `<li>${escapeHtml(`${b.month} ${b.day}, ${b.year} ${b.hour}:${b.minute}${b.ampm}`)}${b.service ? ` · ${escapeHtml(b.service)}` : ''}${b.status ? ` · ${escapeHtml(b.status)}` : ''}</li>`
+  ).join('');
+  
+  return `<!DOCTYPE html>
+<html><head><title>Selector Test</title>
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<style>
+  * { box-sizing: border-box; margin: 0; padding: 0; }
+  body { font-family: system-ui; background: #0a0a0f; color: #e4e4e7; min-height: 100vh; padding: 20px; }
+  .container { max-width: 900px; margin: 0 auto; }
+  h1 { font-size: 24px; margin-bottom: 8px; }
+  a { color: #3b82f6; }
+  .card { background: #18181b; border: 1px solid #27272a; border-radius: 12px; padding: 20px; margin: 16px 0; overflow-x: auto; }
+  .card-title { font-size: 16px; font-weight: 600; margin-bottom: 12px; }
+  .meta { font-size: 13px; color: #71717a; margin: 8px 0; word-break: break-all; }
+  table { width: 100%; border-collapse: collapse; font-size: 13px; }
+  td, th { text-align: left; padding: 6px 8px; border-top: 1px solid #27272a; vertical-align: top; }
+  code { font-size: 12px; word-break: break-all; }
+  tr.hit td:nth-child(3) { color: #22c55e; }
+  tr.miss td:nth-child(3) { color: #ef4444; }
+  ol { font-size: 13px; padding-left: 20px; }
+</style></head>
+<body>
+<div class="container">
+  <a href="/admin">← Back</a>
+  <h1>🔍 ${escapeHtml(source.calendarName)}</h1>
+  <div class="meta">${where}</div>
+  
+  <div class="card">
+    <div class="card-title">Selectors and patterns</div>
+    <table>
+      <tr><th>Key</th><th>Selector / pattern</th><th>Matches</th><th>First match</th></tr>
+      ${rows}
+    </table>
+  </div>
+  
+  <div class="card">
+    <div class="card-title">Bookings extracted from the page text: ${report.bookings.length}</div>
+    ${bookings ? `<ol>${bookings}</ol>` : '<div class="meta">None. A page that loads bookings from the API is read from its JSON responses instead, which these selectors do not affect.</div>'}
+  </div>
+</div>
+</body></html>`;
+}
+
+function runsPage(source, runs, active, csrf) {
+  return `<!DOCTYPE html>
+<html><head><title>Scrape History</title>
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<style>
+  * { box-sizing: border-box; margin: 0; padding: 0; }
+  body { font-family: system-ui; background: #0a0a0f; color: #e4e4e7; min-height: 100vh; padding: 20px; }
+  .container { max-width: 700px; margin: 0 auto; }
+  h1 { font-size: 24px; margin-bottom: 8px; }
+  a { color: #3b82f6; }
+  .card { background: #18181b; border: 1px solid #27272a; border-radius: 12px; padding: 20px; margin: 16px 0; }
+  .card-title { font-size: 16px; font-weight: 600; margin-bottom: 12px; }
+  .meta { font-size: 13px; color: #71717a; margin: 8px 0; }
+  button { padding: 12px 20px; background: #22c55e; border: none; border-radius: 8px; color: #fff; font-size: 14px; font-weight: 600; cursor: pointer; width: 100%; }
+  button:disabled { background: #27272a; cursor: default; }
+  .run { border-top: 1px solid #27272a; padding: 10px 0; }
+  .run summary { cursor: pointer; font-size: 14px; }
+  .run.success .outcome { color: #22c55e; }
+  .run.failed .outcome, .run.failed summary { color: #ef4444; }
+  .steps { font-size: 13px; color: #a1a1aa; padding-left: 20px; }
+  .steps li { margin: 4px 0; }
+  .steps span { color: #71717a; font-family: monospace; }
+  .code-prompt { background: rgba(59,130,246,0.1); padding: 12px; border-radius: 8px; margin: 12px 0; }
+  .code-prompt label { display: block; font-size: 13px; color: #a1a1aa; margin-bottom: 6px; }
+  .code-prompt input { width: 100%; padding: 10px; background: #09090b; border: 1px solid #27272a; border-radius: 6px; color: #fff; font-size: 18px; letter-spacing: 4px; margin-bottom: 12px; }
+</style></head>
+<body>
+<div class="container">
+  <a href="/admin">← Back</a>
+  <h1>🕑 ${escapeHtml(source.calendarName)}</h1>
+  
+  <div class="card">
+    <div class="card-title">${active ? '⏳ Scrape running' : 'Run a scrape now'}</div>
+    <ol class="steps" id="progress">${active ? active.steps.map(s => `<li><span>${new Date(s.at).toLocaleTimeString()}</span> ${escapeHtml(s.message)}</li>`).join('') : ''}</ol>
+    ${active?.awaitingCode ? codePrompt(source, csrf) : ''}
+    <form method="POST" action="/admin">
+      ${csrfField(csrf)}
+      <input type="hidden" name="action" value="run_now">
+      <input type="hidden" name="sourceId" value="${source.id}">
+      <button type="submit" ${active ? 'disabled' : ''}>▶ Run Now</button>
+    </form>
+  </div>
+  
+  <div class="card">
+    <div class="card-title">History (last ${runs.length} runs)</div>
+    ${runs.length ? runs.map(run => runRow(source, run)).join('') : '<div class="meta">No scrapes recorded yet</div>'}
+  </div>
+</div>
+${active ? `<script>
+  // Follow the running scrape, then reload to show it in the history
+  const progress = document.getElementById('progress');
+  const escape = text => text.replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[c]);
+  setInterval(async () => {
+    const { run } = await fetch('/admin/runs/${source.id}/progress').then(r => r.json());
+    if (!run || !!run.awaitingCode !== ${!!active?.awaitingCode}) return location.reload();
+    progress.innerHTML = run.steps.map(s => '<li><span>' + new Date(s.at).toLocaleTimeString() + '</span> ' + escape(s.message) + '</li>').join('');
+  }, 2000);
+</script>` : ''}
+</body></html>`;
+}
+
+function adminPage(config, req, csrf) {
   const host = req.headers.host || 'localhost:3000';
-  const calendarUrl = `http://${host}/calendar/${config.calendarToken}`;
   const saved = req.query?.saved === '1';
+  const tested = req.query?.tested === '1';
+  const caldavMessage = req.query?.caldav;
+  const verificationMessage = req.query?.verification;
+  const error = req.query?.error;
   
   return `<!DOCTYPE html>
 <html><head><title>Admin</title>
@@ -745,55 +1225,108 @@ function adminPage(config, req) {
   h1 { font-size: 28px; margin-bottom: 24px; }
   .card { background: #18181b; border: 1px solid #27272a; border-radius: 12px; padding: 20px; margin-bottom: 16px; }
   .card-title { font-size: 16px; font-weight: 600; margin-bottom: 12px; }
+  .meta { font-size: 13px; color: #71717a; margin-bottom: 12px; }
   .url-box { background: #09090b; padding: 14px; border-radius: 8px; font-family: monospace; font-size: 13px; color: #22c55e; word-break: break-all; margin-bottom: 12px; }
-  .copy-btn { background: #27272a; border: none; color: #fff; padding: 10px 16px; border-radius: 6px; cursor: pointer; font-size: 13px; }
+  .copy-btn { background: #27272a; border: none; color: #fff; padding: 10px 16px; border-radius: 6px; cursor: pointer; font-size: 13px; width: auto; }
+  details { margin-top: 12px; }
+  summary { cursor: pointer; font-size: 13px; color: #a1a1aa; margin-bottom: 12px; }
   label { display: block; font-size: 13px; color: #a1a1aa; margin-bottom: 6px; }
-  input { width: 100%; padding: 10px; background: #09090b; border: 1px solid #27272a; border-radius: 6px; color: #fff; font-size: 14px; margin-bottom: 12px; }
+  input, textarea, select { width: 100%; padding: 10px; background: #09090b; border: 1px solid #27272a; border-radius: 6px; color: #fff; font-size: 14px; margin-bottom: 12px; font-family: inherit; }
   button { padding: 12px 20px; background: #22c55e; border: none; border-radius: 8px; color: #fff; font-size: 14px; font-weight: 600; cursor: pointer; width: 100%; }
+  .secondary { background: #27272a; margin-top: 8px; }
+  .row { display: flex; gap: 8px; }
+  .code-prompt { background: rgba(59,130,246,0.1); padding: 12px; border-radius: 8px; margin: 12px 0; }
+  .check { display: flex; align-items: center; gap: 8px; margin-bottom: 12px; }
+  .check input { width: auto; margin: 0; }
+  .error { background: rgba(239,68,68,0.1); color: #ef4444; padding: 12px; border-radius: 8px; margin-bottom: 16px; }
+  .danger { background: transparent; border: 1px solid #ef4444; color: #ef4444; margin-top: 8px; }
   .logout { background: transparent; border: 1px solid #27272a; color: #71717a; padding: 8px 16px; float: right; width: auto; }
+  a.button { display: block; padding: 12px 20px; border-radius: 8px; color: #fff; font-size: 14px; font-weight: 600; text-align: center; text-decoration: none; width: 100%; }
+  .token { border-top: 1px solid #27272a; padding-top: 12px; margin-bottom: 12px; font-size: 14px; }
+  .token .url-box { margin: 8px 0; }
+  .token.inactive { opacity: 0.5; }
   .success { background: rgba(34,197,94,0.1); color: #22c55e; padding: 12px; border-radius: 8px; margin-bottom: 16px; }
-  .instructions { background: #09090b; padding: 14px; border-radius: 8px; margin-top: 12px; font-size: 13px; color: #a1a1aa; }
+  .instructions { background: #09090b; padding: 14px; border-radius: 8px; font-size: 13px; color: #a1a1aa; }
   .instructions ol { padding-left: 18px; }
   .instructions li { margin: 6px 0; }
 </style></head>
 <body>
 <div class="container">
-  <form method="POST" style="float:right"><input type="hidden" name="action" value="logout"><button type="submit" class="logout">Logout</button></form>
+  <form method="POST" style="float:right">${csrfField(csrf)}<input type="hidden" name="action" value="logout"><button type="submit" class="logout">Logout</button></form>
   <h1>📅 Calendar Sync</h1>
   
   ${saved ? '<div class="success">✓ Saved!</div>' : ''}
+  ${tested ? '<div class="success">✓ Test notification sent!</div>' : ''}
+  ${caldavMessage ? `<div class="success">✓ ${escapeHtml(caldavMessage)}</div>` : ''}
+  ${verificationMessage ? `<div class="success">✓ ${escapeHtml(verificationMessage)}</div>` : ''}
+  ${error ? `<div class="error">${escapeHtml(error)}</div>` : ''}
+  
+  ${config.sources.map(source => sourceCard(config, source, host, csrf)).join('')}
+  
+  ${config.sources.length > 1 ? mergedCard(config, host, csrf) : ''}
   
   <div class="card">
-    <div class="card-title">🔗 Your Calendar URL</div>
-    <div class="url-box" id="url">${calendarUrl}</div>
-    <button type="button" class="copy-btn" onclick="navigator.clipboard.writeText(document.getElementById('url').textContent).then(()=>this.textContent='✓ Copied!')">📋 Copy URL</button>
+    <div class="card-title">🔗 Subscribing</div>
     <div class="instructions">
       <strong>Subscribe in Apple Calendar:</strong>
       <ol>
         <li>Open Calendar app</li>
         <li>File → New Calendar Subscription</li>
-        <li>Paste the URL above</li>
+        <li>Paste a calendar URL from above</li>
         <li>Set refresh to "Every hour"</li>
       </ol>
+      Dashboards and spreadsheets can use the same URL with <code>.json</code>, <code>.csv</code> or <code>.jcal</code> appended.
     </div>
   </div>
   
   <div class="card">
-    <div class="card-title">⚙️ Settings</div>
+    <div class="card-title">➕ Add Appointy Account</div>
     <form method="POST">
-      <input type="hidden" name="action" value="save">
+      ${csrfField(csrf)}
+      <input type="hidden" name="action" value="add_source">
+      <label>Calendar Name</label>
+      <input type="text" name="calendarName" required placeholder="Mathnasium Appointments">
       <label>Appointy Email</label>
-      <input type="email" name="appointyEmail" value="${config.appointyEmail || ''}">
+      <input type="email" name="appointyEmail" required>
       <label>Appointy Password</label>
-      <input type="password" name="appointyPassword" value="${config.appointyPassword || ''}">
+      <input type="password" name="appointyPassword" required>
       <label>Booking URL</label>
-      <input type="text" name="appointyBookingUrl" value="${config.appointyBookingUrl || ''}">
-      <label>Calendar Name</label>
-      <input type="text" name="calendarName" value="${config.calendarName || ''}">
+      <input type="text" name="appointyBookingUrl" value="${getAdapter(DEFAULT_ADAPTER).defaults.bookingUrl}">
+      <label>Site</label>
+      ${adapterSelect(DEFAULT_ADAPTER)}
+      <label>Timezone</label>
+      ${timezoneInput(DEFAULT_TIMEZONE)}
+      <button type="submit">Add Account</button>
+    </form>
+  </div>
+  
+  ${eventsCard(config, csrf)}
+  
+  ${notificationsCard(config, csrf)}
+  
+  <div class="card">
+    <div class="card-title">⚙️ Settings</div>
+    <form method="POST">
+      ${csrfField(csrf)}
+      <input type="hidden" name="action" value="save">
+      <label>Scrape Interval (minutes)</label>
+      <input type="number" name="scrapeIntervalMinutes" min="5" value="${getScrapeInterval(config) / 60000}">
+      <label>Keep Cancelled Sessions (days)</label>
+      <input type="number" name="cancelledGraceDays" min="0" value="${config.cancelledGraceDays ?? 14}">
+      <label>Merged Calendar Name</label>
+      <input type="text" name="mergedCalendarName" value="${escapeHtml(config.mergedCalendarName || 'All Appointments')}">
+      <label>New Admin Password</label>
+      <input type="password" name="adminPassword" placeholder="Leave blank to keep current">
       <button type="submit">Save</button>
     </form>
+    <form method="POST" onsubmit="return confirm('Sign out every browser, including this one?')">
+      ${csrfField(csrf)}
+      <input type="hidden" name="action" value="logout_all">
+      <button type="submit" class="secondary">Sign Out All Sessions</button>
+    </form>
   </div>
 </div>
+${timezoneList()}
 </body></html>`;
 }
 
@@ -806,4 +1339,5 @@ app.listen(PORT, '0.0.0.0', () => {
 ║  Admin: http://localhost:${PORT}/admin               ║
 ╚══════════════════════════════════════════════════╝
   `);
+  startScheduler();
 });
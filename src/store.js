@@ -0,0 +1,58 @@
+import fs from 'fs';
+import path from 'path';
+import { DATA_DIR } from './config.js';
+
+// Parsed appointments from the last successful scrape of each source, kept on
+// disk so the feed can be served straight after a restart without a cold scrape.
+function storeFile(sourceId) {
+  return path.join(DATA_DIR, `appointments-${sourceId}.json`);
+}
+
+export function loadStore(sourceId) {
+  const file = storeFile(sourceId);
+  try {
+    if (fs.existsSync(file)) {
+      const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+      return {
+        scrapedAt: data.scrapedAt || null,
+        changedAt: data.changedAt || data.scrapedAt || null,
+        appointments: (data.appointments || []).map(apt => ({
+          ...apt,
+          start: new Date(apt.start),
+          end: new Date(apt.end)
+        }))
+      };
+    }
+  } catch (e) {
+    console.log('Could not read appointment store:', e.message);
+  }
+  return { scrapedAt: null, changedAt: null, appointments: [] };
+}
+
+export function saveStore(sourceId, appointments) {
+  const file = storeFile(sourceId);
+  const now = Date.now();
+  // changedAt only moves when the stored appointments differ, so it can back
+  // Last-Modified on the feed instead of the time of every scrape
+  let changedAt = now;
+  try {
+    if (fs.existsSync(file)) {
+      const previous = JSON.parse(fs.readFileSync(file, 'utf8'));
+      if (previous.changedAt && JSON.stringify(previous.appointments) === JSON.stringify(appointments)) {
+        changedAt = previous.changedAt;
+      }
+    }
+  } catch (e) {
+    console.log('Could not read previous appointment store:', e.message);
+  }
+  const store = { scrapedAt: now, changedAt, appointments };
+  // Write to a temp file first so a crash mid-write never leaves a truncated store
+  const tmpFile = file + '.tmp';
+  fs.writeFileSync(tmpFile, JSON.stringify(store, null, 2));
+  fs.renameSync(tmpFile, file);
+  return store;
+}
+
+export function deleteStore(sourceId) {
+  fs.rmSync(storeFile(sourceId), { force: true });
+}
@@ -0,0 +1,94 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { DATA_DIR, generateToken } from './config.js';
+
+// ==================== SUBSCRIBER TOKENS ====================
+
+// Besides its own URL, every feed (a source, or 'merged') can have named tokens
+// for the people it is shared with. They live in config.feedTokens as
+// { id, name, feed, token, createdAt, expiresAt, revokedAt } and are revoked
+// rather than deleted so the admin panel keeps a record of them.
+export const MERGED_FEED = 'merged';
+
+export function createFeedToken(config, { name, feed, expiresAt = null }) {
+  const entry = {
+    id: crypto.randomBytes(6).toString('hex'),
+    name,
+    feed,
+    token: generateToken(),
+    createdAt: Date.now(),
+    expiresAt,
+    revokedAt: null
+  };
+  config.feedTokens = [...(config.feedTokens || []), entry];
+  return entry;
+}
+
+export function feedTokensFor(config, feed) {
+  return (config.feedTokens || []).filter(t => t.feed === feed);
+}
+
+export function isTokenActive(entry, now = Date.now()) {
+  return !entry.revokedAt && !(entry.expiresAt && entry.expiresAt <= now);
+}
+
+export function findFeedToken(config, token) {
+  return (config.feedTokens || []).find(t => t.token === token && isTokenActive(t)) || null;
+}
+
+// "2026-12-31" from a date input; the token stays valid through that day
+export function parseExpiryDate(value) {
+  if (!value) return null;
+  const date = new Date(`${value}T23:59:59.999`);
+  if (isNaN(date.getTime())) {
+    throw new Error(`Invalid expiry date: ${value}`);
+  }
+  return date.getTime();
+}
+
+// ==================== ACCESS LOG ====================
+
+// Last request per token, kept apart from config.json since every calendar poll
+// updates it. Keys are a named token's id, or primary:<feed> for a feed's own URL.
+const ACCESS_FILE = path.join(DATA_DIR, 'token-access.json');
+let accessLog = null;
+
+export function primaryAccessKey(feed) {
+  return `primary:${feed}`;
+}
+
+export function loadTokenAccess() {
+  if (accessLog) return accessLog;
+  try {
+    accessLog = fs.existsSync(ACCESS_FILE) ? JSON.parse(fs.readFileSync(ACCESS_FILE, 'utf8')) : {};
+  } catch (e) {
+    console.log('Could not read token access log:', e.message);
+    accessLog = {};
+  }
+  return accessLog;
+}
+
+export function recordTokenAccess(key, userAgent) {
+  const log = loadTokenAccess();
+  log[key] = { at: Date.now(), userAgent: String(userAgent || '').slice(0, 200) };
+  try {
+    const tmpFile = ACCESS_FILE + '.tmp';
+    fs.writeFileSync(tmpFile, JSON.stringify(log, null, 2));
+    fs.renameSync(tmpFile, ACCESS_FILE);
+  } catch (e) {
+    console.log('Could not write token access log:', e.message);
+  }
+}
+
+export function forgetTokenAccess(keys) {
+  const log = loadTokenAccess();
+  let changed = false;
+  for (const key of keys) {
+    if (key in log) {
+      delete log[key];
+      changed = true;
+    }
+  }
+  if (changed) fs.writeFileSync(ACCESS_FILE, JSON.stringify(log, null, 2));
+}
@@ -0,0 +1,235 @@
+import crypto from 'crypto';
+import { ImapFlow } from 'imapflow';
+import { loadConfig } from './config.js';
+import { deliver, verificationMessage } from './notify.js';
+import { step, ScrapeError } from './runs.js';
+
+// ==================== LOGIN VERIFICATION CODES ====================
+//
+// When the booking site asks for a one-time code after the password (emailed
+// OTP, SMS, "verify this device"), the scrape pauses here until it has one.
+// Each source picks where the code comes from:
+//
+//   prompt  an admin types it into the admin panel (the default)
+//   totp    generated from the authenticator app's secret
+//   imap    read from the newest matching email in a mailbox
+//
+// The browser stays open while waiting, so no other scrape runs until the
+// code arrives or CODE_TIMEOUT_MS passes.
+
+export const VERIFICATION_METHODS = {
+  prompt: 'Enter it in the admin panel',
+  totp: 'Authenticator app (TOTP secret)',
+  imap: 'Read it from an email inbox (IMAP)'
+};
+
+export const CODE_TIMEOUT_MS = 10 * 60 * 1000;
+const IMAP_POLL_MS = 10 * 1000;
+// A 6-digit number next to the word "code" ("Your code is 123456", "123456 is
+// your verification code"), so years, zip codes and phone numbers in the
+// email are passed over. The first group that matched is the code.
+export const DEFAULT_CODE_PATTERN = 'code\\D{0,40}?\\b(\\d{6})\\b|\\b(\\d{6})\\b\\D{0,40}?code';
+
+// sourceId -> { resolve, timer } of scrapes waiting for a typed code
+const pendingCodes = new Map();
+
+// since is when the login form was submitted; emails older than that hold
+// codes that have already been used
+export async function getVerificationCode(source, run, since) {
+  const settings = source.verification || {};
+  
+  if (settings.method === 'totp') {
+    step(run, 'Generating the code from the TOTP secret');
+    return currentTotp(settings.totpSecret);
+  }
+  
+  if (settings.method === 'imap') {
+    step(run, `Waiting for the code to arrive at ${settings.imap?.username || 'the mailbox'}...`);
+    return waitForEmailedCode(settings.imap || {}, since, run);
+  }
+  
+  // Scheduled scrapes need someone to notice, so say so on the usual channels
+  deliver(loadConfig().notifications, [verificationMessage(source, CODE_TIMEOUT_MS / 60000)]).catch(() => {});
+  return waitForTypedCode(source, run);
+}
+
+export function isAwaitingCode(sourceId) {
+  return pendingCodes.has(sourceId);
+}
+
+// Hands a code typed in the admin panel to the waiting scrape. Returns false
+// when no scrape of that source is waiting for one.
+export function provideCode(sourceId, code) {
+  const pending = pendingCodes.get(sourceId);
+  if (!pending) return false;
+  pending.resolve(code.trim());
+  return true;
+}
+
+function waitForTypedCode(source, run) {
+  step(run, 'Waiting for the verification code to be entered in the admin panel...');
+  if (run) run.awaitingCode = true;
+  
+  return new Promise((resolve, reject) => {
+    const done = () => {
+      clearTimeout(pending.timer);
+      pendingCodes.delete(source.id);
+      if (run) run.awaitingCode = false;
+    };
+    const pending = {
+      resolve: code => { done(); resolve(code); },
+      timer: setTimeout(() => {
+        done();
+        reject(new ScrapeError('login_failed', `No verification code entered within ${CODE_TIMEOUT_MS / 60000} minutes`));
+      }, CODE_TIMEOUT_MS)
+    };
+    pendingCodes.set(source.id, pending);
+  });
+}
+
+// ==================== TOTP (RFC 6238) ====================
+
+// Accepts the bare base32 secret or the otpauth:// URI from the QR code
+function parseTotpSecret(value) {
+  const secret = (value || '').startsWith('otpauth://')
+    ? new URL(value).searchParams.get('secret') || ''
+    : value || '';
+  const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+  const clean = secret.toUpperCase().replace(/[\s=-]/g, '');
+  if (!clean || /[^A-Z2-7]/.test(clean)) throw new Error('TOTP secret is not valid base32');
+  
+  let bits = '';
+  for (const char of clean) bits += alphabet.indexOf(char).toString(2).padStart(5, '0');
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  return Buffer.from(bytes);
+}
+
+export function totp(secret, time = Date.now(), digits = 6, periodSeconds = 30) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(Math.floor(time / 1000 / periodSeconds)));
+  const hmac = crypto.createHmac('sha1', parseTotpSecret(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const code = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** digits;
+  return String(code).padStart(digits, '0');
+}
+
+export function isValidTotpSecret(secret) {
+  try {
+    parseTotpSecret(secret);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// A code about to expire may be rejected by the time it is submitted, so in the
+// last few seconds of a period wait for the next one
+async function currentTotp(secret) {
+  const remaining = 30 - (Date.now() / 1000) % 30;
+  if (remaining < 5) await new Promise(r => setTimeout(r, remaining * 1000 + 500));
+  return totp(secret);
+}
+
+// ==================== EMAILED CODES (IMAP) ====================
+
+async function waitForEmailedCode(imap, since, run) {
+  const pattern = new RegExp(imap.codePattern || DEFAULT_CODE_PATTERN, 'i');
+  const deadline = Date.now() + CODE_TIMEOUT_MS;
+  let lastError = null;
+  
+  while (Date.now() < deadline) {
+    // A dropped connection or a refused login is often gone by the next poll,
+    // and giving up would only mean another login and another emailed code
+    try {
+      const code = await findEmailedCode(imap, since, pattern);
+      if (code) return code;
+    } catch (error) {
+      lastError = error;
+      step(run, `Could not check the mailbox (${error.message}), trying again...`);
+    }
+    await new Promise(r => setTimeout(r, IMAP_POLL_MS));
+  }
+  const detail = lastError ? ` (last mailbox error: ${lastError.message})` : '';
+  throw new ScrapeError('login_failed', `No verification email arrived within ${CODE_TIMEOUT_MS / 60000} minutes${detail}`);
+}
+
+// The first capture group that matched, or the whole match without groups
+export function codeFromMatch(match) {
+  return match && (match.slice(1).find(Boolean) || match[0]);
+}
+
+function imapClient(imap) {
+  const port = parseInt(imap.port) || 993;
+  return new ImapFlow({
+    host: imap.host,
+    port,
+    secure: port === 993,
+    auth: { user: imap.username, pass: imap.password },
+    logger: false
+  });
+}
+
+// The first text part of a message's body structure, preferring plain text
+function textPart(node) {
+  const parts = [];
+  const walk = n => {
+    if (n.childNodes) n.childNodes.forEach(walk);
+    else if (n.type === 'text/plain' || n.type === 'text/html') parts.push(n);
+  };
+  walk(node);
+  return parts.find(p => p.type === 'text/plain') || parts[0];
+}
+
+async function readPart(client, uid, part) {
+  const { content } = await client.download(uid, part.part || '1', { uid: true });
+  const chunks = [];
+  for await (const chunk of content) chunks.push(chunk);
+  const text = Buffer.concat(chunks).toString('utf8');
+  return part.type === 'text/html' ? text.replace(/<[^>]+>/g, ' ').replace(/&nbsp;/g, ' ') : text;
+}
+
+// Newest message received after since (optionally from imap.from) whose
+// subject or text contains a code
+async function findEmailedCode(imap, since, pattern) {
+  const client = imapClient(imap);
+  await client.connect();
+  let lock = null;
+  
+  try {
+    lock = await client.getMailboxLock(imap.mailbox || 'INBOX');
+    // SEARCH SINCE only has day precision; the exact time is checked below
+    const query = { since: new Date(since - 24 * 60 * 60 * 1000) };
+    if (imap.from) query.from = imap.from;
+    const uids = (await client.search(query, { uid: true })) || [];
+    
+    for (const uid of uids.reverse().slice(0, 10)) {
+      const message = await client.fetchOne(uid, { envelope: true, internalDate: true, bodyStructure: true }, { uid: true });
+      // Allow a minute of clock difference between us and the mail server
+      if (!message || message.internalDate < since - 60 * 1000) continue;
+      
+      const subjectMatch = pattern.exec(message.envelope?.subject || '');
+      if (subjectMatch) return codeFromMatch(subjectMatch);
+      
+      const part = textPart(message.bodyStructure);
+      const bodyMatch = part && pattern.exec(await readPart(client, uid, part));
+      if (bodyMatch) return codeFromMatch(bodyMatch);
+    }
+    return null;
+  } finally {
+    lock?.release();
+    await client.logout().catch(() => {});
+  }
+}
+
+// For the admin panel's "Test" button: can we log in and open the mailbox?
+export async function testImap(imap) {
+  const client = imapClient(imap);
+  await client.connect();
+  try {
+    const status = await client.status(imap.mailbox || 'INBOX', { messages: true });
+    return status.messages;
+  } finally {
+    await client.logout().catch(() => {});
+  }
+}
@@ -0,0 +1,41 @@
+import './helpers/env.js';
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getAdapter, sourceDefaults, sourceSelectors, parseSelectorOverrides } from '../src/adapters/index.js';
+
+const appointy = getAdapter('appointy');
+
+describe('site adapters', () => {
+  test('falls back to the default adapter', () => {
+    assert.equal(getAdapter(undefined), appointy);
+    assert.equal(getAdapter('no-such-site'), appointy);
+  });
+
+  test('lets a source override the default title and location', () => {
+    assert.deepEqual(sourceDefaults({}), { title: 'Mathnasium Session', location: 'Mathnasium of Portland' });
+    assert.deepEqual(sourceDefaults({ defaultLocation: 'Online' }), { title: 'Mathnasium Session', location: 'Online' });
+  });
+});
+
+describe('selector overrides', () => {
+  test('apply on top of the adapter selectors', () => {
+    const selectors = sourceSelectors({ selectors: { passwordInput: '#pw', emailInputs: ['#email'], gone: 'x' } });
+    assert.equal(selectors.passwordInput, '#pw');
+    assert.deepEqual(selectors.emailInputs, ['#email']);
+    assert.equal(selectors.submitTextPattern, appointy.selectors.submitTextPattern);
+    assert.ok(!('gone' in selectors));
+  });
+
+  test('are read from the admin form, blank meaning the default', () => {
+    const overrides = parseSelectorOverrides({}, {
+      selector_emailInputs: ' #email \r\n\r\ninput[name="user"] ',
+      selector_passwordInput: '   ',
+      selector_submitTextPattern: 'anmelden|weiter'
+    });
+    assert.deepEqual(overrides, { emailInputs: ['#email', 'input[name="user"]'], submitTextPattern: 'anmelden|weiter' });
+  });
+
+  test('reject patterns that are not regular expressions', () => {
+    assert.throws(() => parseSelectorOverrides({}, { selector_cardDatePattern: '(\\w{3}' }), /cardDatePattern/);
+  });
+});
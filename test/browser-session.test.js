@@ -0,0 +1,26 @@
+import './helpers/env.js';
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { restoreBrowserSession } from '../src/browser-session.js';
+
+describe('restoreBrowserSession', () => {
+  test('drops a saved session the browser rejects and falls back to logging in', async () => {
+    const file = path.join(process.env.DATA_DIR, 'browser-sessions', 'rejected.json');
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify({
+      savedAt: Date.now(),
+      cookies: [{ name: 'sid', value: 'x', domain: 'example.com', path: '/', session: true, partitionKey: { topLevelSite: 'https://example.com', hasCrossSiteAncestor: false } }],
+      localStorage: {}
+    }));
+    // Stands in for the page just far enough to fail the way Puppeteer does
+    const page = {
+      setCookie: async () => { throw new Error('Protocol error (Network.setCookies): Invalid parameters'); },
+      evaluateOnNewDocument: async () => {}
+    };
+
+    assert.equal(await restoreBrowserSession(page, 'rejected'), false);
+    assert.equal(fs.existsSync(file), false);
+  });
+});
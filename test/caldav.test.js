@@ -0,0 +1,106 @@
+import './helpers/env.js';
+import { describe, test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { syncToCalDAV } from '../src/caldav.js';
+import { mergeAppointments } from '../src/changes.js';
+import { saveStore, loadStore } from '../src/store.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+function booking(bookingId, daysAhead, fields = {}) {
+  const start = new Date(Math.floor(Date.now() / DAY) * DAY + daysAhead * DAY);
+  return { bookingId, title: 'Math Tutoring', service: 'Math Tutoring', status: 'scheduled', start, end: new Date(start.getTime() + 60 * 60 * 1000), ...fields };
+}
+
+// A stand-in CalDAV collection: keeps PUT resources in memory and, like
+// Radicale, answers 412 to a create (If-None-Match: *) of an existing one
+function startCalDAVServer() {
+  const resources = new Map();
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ method: req.method, path: req.url, ifNoneMatch: req.headers['if-none-match'], auth: req.headers.authorization });
+      if (req.method === 'PUT') {
+        if (req.headers['if-none-match'] === '*' && resources.has(req.url)) {
+          res.writeHead(412);
+          return res.end();
+        }
+        res.writeHead(resources.has(req.url) ? 204 : 201);
+        resources.set(req.url, body);
+        return res.end();
+      }
+      if (req.method === 'DELETE') {
+        res.writeHead(resources.delete(req.url) ? 204 : 404);
+        return res.end();
+      }
+      res.writeHead(405);
+      res.end();
+    });
+  });
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve({
+    url: `http://127.0.0.1:${server.address().port}/calendars/alex/tutoring`,
+    resources,
+    requests,
+    close: () => new Promise(done => server.close(done))
+  })));
+}
+
+describe('syncToCalDAV', () => {
+  let server;
+  let source;
+  const store = scraped => saveStore(source.id, mergeAppointments(source.id, loadStore(source.id).appointments, scraped).appointments);
+  const path = uid => `/calendars/alex/tutoring/${uid.replace(/@.*$/, '')}.ics`;
+
+  before(async () => {
+    server = await startCalDAVServer();
+    source = { id: 'caldav-test', calendarName: 'Alex', timezone: 'America/New_York', caldav: { url: server.url, username: 'alex', password: 'secret' } };
+  });
+  after(() => server.close());
+
+  test('creates events with If-None-Match and overwrites ones already there', async () => {
+    store([booking('BK-1', 2), booking('BK-2', 3)]);
+    const [first, second] = loadStore(source.id).appointments;
+    // Left over from a sync whose state was lost
+    server.resources.set(path(first.uid), 'BEGIN:VCALENDAR\r\nEND:VCALENDAR\r\n');
+
+    const result = await syncToCalDAV(source);
+
+    assert.deepEqual(result, { created: 2, updated: 0, deleted: 0, failed: 0 });
+    assert.deepEqual(server.requests.map(r => [r.method, r.path, r.ifNoneMatch]), [
+      ['PUT', path(first.uid), '*'],
+      ['PUT', path(first.uid), undefined],
+      ['PUT', path(second.uid), '*']
+    ]);
+    assert.equal(server.requests[0].auth, 'Basic ' + Buffer.from('alex:secret').toString('base64'));
+    assert.match(server.resources.get(path(first.uid)), new RegExp(`UID:${first.uid}`));
+  });
+
+  test('skips unchanged events and updates changed ones', async () => {
+    server.requests.length = 0;
+    assert.deepEqual(await syncToCalDAV(source), { created: 0, updated: 0, deleted: 0, failed: 0 });
+    assert.equal(server.requests.length, 0);
+
+    store([booking('BK-1', 2), booking('BK-2', 3, { staff: 'Sam Lee' })]);
+    const [, second] = loadStore(source.id).appointments;
+    const result = await syncToCalDAV(source);
+
+    assert.deepEqual(result, { created: 0, updated: 1, deleted: 0, failed: 0 });
+    assert.deepEqual(server.requests.map(r => [r.method, r.path, r.ifNoneMatch]), [['PUT', path(second.uid), undefined]]);
+    assert.match(server.resources.get(path(second.uid)), /Sam Lee/);
+  });
+
+  test('deletes events for bookings that left the store', async () => {
+    const [first, second] = loadStore(source.id).appointments;
+    saveStore(source.id, [second]);
+    server.requests.length = 0;
+
+    const result = await syncToCalDAV(source);
+
+    assert.deepEqual(result, { created: 0, updated: 0, deleted: 1, failed: 0 });
+    assert.deepEqual(server.requests.map(r => [r.method, r.path]), [['DELETE', path(first.uid)]]);
+    assert.equal(server.resources.has(path(first.uid)), false);
+  });
+});
@@ -0,0 +1,68 @@
+import './helpers/env.js';
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mergeAppointments } from '../src/changes.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+function booking(fields = {}) {
+  const start = new Date(Math.floor(Date.now() / DAY) * DAY + 3 * DAY);
+  return {
+    bookingId: null,
+    title: 'Math Tutoring',
+    service: 'Math Tutoring',
+    status: 'scheduled',
+    start,
+    end: new Date(start.getTime() + 60 * 60 * 1000),
+    ...fields
+  };
+}
+
+function counts(changes) {
+  return Object.fromEntries(Object.entries(changes).map(([kind, list]) => [kind, list.length]));
+}
+
+const NO_CHANGES = { added: 0, rescheduled: 0, updated: 0, cancelled: 0 };
+
+describe('mergeAppointments', () => {
+  test('keeps the booking when a run falls back from the bookings API to page text', () => {
+    const fromApi = mergeAppointments('src', [], [booking({ bookingId: 'BK-1' })]).appointments;
+
+    const fromPage = mergeAppointments('src', fromApi, [booking()]);
+    assert.deepEqual(counts(fromPage.changes), NO_CHANGES);
+    assert.equal(fromPage.appointments.length, 1);
+    assert.equal(fromPage.appointments[0].uid, fromApi[0].uid);
+    assert.equal(fromPage.appointments[0].bookingId, 'BK-1');
+
+    const backToApi = mergeAppointments('src', fromPage.appointments, [booking({ bookingId: 'BK-1' })]);
+    assert.deepEqual(counts(backToApi.changes), NO_CHANGES);
+    assert.equal(backToApi.appointments[0].uid, fromApi[0].uid);
+  });
+
+  test('picks up the ID when the bookings API follows a page-text run', () => {
+    const fromPage = mergeAppointments('src', [], [booking()]).appointments;
+    const fromApi = mergeAppointments('src', fromPage, [booking({ bookingId: 'BK-1' })]);
+
+    assert.deepEqual(counts(fromApi.changes), NO_CHANGES);
+    assert.equal(fromApi.appointments[0].uid, fromPage[0].uid);
+    assert.equal(fromApi.appointments[0].bookingId, 'BK-1');
+  });
+
+  test('follows a page-text reschedule of a booking that has an ID', () => {
+    const fromApi = mergeAppointments('src', [], [booking({ bookingId: 'BK-1' })]).appointments;
+    const moved = booking();
+    moved.start = new Date(moved.start.getTime() + DAY);
+    moved.end = new Date(moved.end.getTime() + DAY);
+
+    const { appointments, changes } = mergeAppointments('src', fromApi, [moved]);
+    assert.deepEqual(counts(changes), { ...NO_CHANGES, rescheduled: 1 });
+    assert.equal(appointments[0].uid, fromApi[0].uid);
+    assert.equal(appointments[0].sequence, 1);
+  });
+
+  test('does not merge two different bookings in the same slot', () => {
+    const previous = mergeAppointments('src', [], [booking({ bookingId: 'BK-1' })]).appointments;
+    const { changes } = mergeAppointments('src', previous, [booking({ bookingId: 'BK-2' })]);
+    assert.deepEqual(counts(changes), { ...NO_CHANGES, added: 1, cancelled: 1 });
+  });
+});
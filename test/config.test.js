@@ -0,0 +1,25 @@
+import './helpers/env.js';
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { loadConfig, saveConfig } from '../src/config.js';
+
+const CONFIG_FILE = path.join(process.env.DATA_DIR, 'config.json');
+
+describe('config file', () => {
+  test('is saved through a temporary file', () => {
+    saveConfig({ adminPasswordHash: 'scrypt$1$1$1$a$b', sources: [] });
+    assert.equal(fs.existsSync(CONFIG_FILE + '.tmp'), false);
+    assert.equal(loadConfig().adminPasswordHash, 'scrypt$1$1$1$a$b');
+  });
+
+  test('that cannot be read is reported instead of looking unconfigured', () => {
+    const full = fs.readFileSync(CONFIG_FILE, 'utf8');
+    fs.writeFileSync(CONFIG_FILE, full.slice(0, 20));
+
+    const config = loadConfig();
+    assert.ok(config.loadError);
+    assert.equal(config.adminPasswordHash, undefined);
+  });
+});
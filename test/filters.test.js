@@ -0,0 +1,56 @@
+import './helpers/env.js';
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseFeedFilters, filterAppointments } from '../src/feed.js';
+
+const SOURCES = [
+  { id: 'alex', calendarName: 'Alex' },
+  { id: 'sam', calendarName: 'Sam' }
+];
+const ZONE = 'America/New_York';
+
+function appointment(start, fields = {}) {
+  const startDate = new Date(start);
+  return { start: startDate, end: new Date(startDate.getTime() + 60 * 60 * 1000), status: 'scheduled', ...fields };
+}
+
+describe('parseFeedFilters', () => {
+  test('reads bare dates as whole days in the feed timezone', () => {
+    const filters = parseFeedFilters({ from: '2026-06-01', to: '2026-06-30' }, SOURCES, ZONE);
+    assert.equal(filters.from.toISOString(), '2026-06-01T04:00:00.000Z');
+    assert.equal(filters.to.toISOString(), '2026-07-01T03:59:59.999Z');
+  });
+
+  test('reads times without an offset in the feed timezone and keeps explicit offsets', () => {
+    assert.equal(parseFeedFilters({ from: '2026-06-01T09:00' }, SOURCES, ZONE).from.toISOString(), '2026-06-01T13:00:00.000Z');
+    assert.equal(parseFeedFilters({ from: '2026-06-01T09:00Z' }, SOURCES, ZONE).from.toISOString(), '2026-06-01T09:00:00.000Z');
+  });
+
+  test('picks sources by id or name and rejects what it cannot read', () => {
+    assert.deepEqual(parseFeedFilters({ source: 'SAM' }, SOURCES, ZONE).sources.map(s => s.id), ['sam']);
+    assert.deepEqual(parseFeedFilters({ status: 'Scheduled, cancelled' }, SOURCES, ZONE).statuses, ['scheduled', 'cancelled']);
+    assert.throws(() => parseFeedFilters({ source: 'nobody' }, SOURCES, ZONE), /Unknown source/);
+    assert.throws(() => parseFeedFilters({ to: 'someday' }, SOURCES, ZONE), /Invalid to date/);
+  });
+});
+
+describe('filterAppointments', () => {
+  const appointments = [
+    appointment('2026-05-31T22:00:00-04:00'),
+    appointment('2026-06-01T00:30:00-04:00'),
+    appointment('2026-06-30T16:00:00-04:00'),
+    appointment('2026-06-30T23:30:00-04:00', { status: 'cancelled' }),
+    appointment('2026-07-01T00:30:00-04:00')
+  ];
+
+  test('includes the whole last day of a date window', () => {
+    const filters = parseFeedFilters({ from: '2026-06-01', to: '2026-06-30' }, SOURCES, ZONE);
+    const starts = filterAppointments(appointments, filters).map(a => a.start.toISOString());
+    assert.deepEqual(starts, ['2026-06-01T04:30:00.000Z', '2026-06-30T20:00:00.000Z', '2026-07-01T03:30:00.000Z']);
+  });
+
+  test('filters by status', () => {
+    const filters = parseFeedFilters({ status: 'cancelled' }, SOURCES, ZONE);
+    assert.equal(filterAppointments(appointments, filters).length, 1);
+  });
+});
@@ -0,0 +1,18 @@
+import fs from 'fs';
+import puppeteer from 'puppeteer-core';
+
+// The scraper launches PUPPETEER_EXECUTABLE_PATH (or the Alpine Chromium path).
+// Returns why browser tests can't run here, or null when they can.
+export async function browserUnavailable() {
+  const executablePath = process.env.PUPPETEER_EXECUTABLE_PATH || '/usr/bin/chromium-browser';
+  if (!fs.existsSync(executablePath)) {
+    return `no Chromium at ${executablePath} (set PUPPETEER_EXECUTABLE_PATH)`;
+  }
+  try {
+    const browser = await puppeteer.launch({ executablePath, headless: 'new', args: ['--no-sandbox'] });
+    await browser.close();
+    return null;
+  } catch (error) {
+    return `Chromium does not start: ${error.message.split('\n')[0]}`;
+  }
+}
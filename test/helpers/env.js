@@ -0,0 +1,11 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// Imported first by every test file: src/config.js reads DATA_DIR when it is
+// loaded, so this has to run before any module under src/ is imported.
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'appointy-test-'));
+
+process.on('exit', () => {
+  fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+});
@@ -0,0 +1,115 @@
+import fs from 'fs';
+import http from 'http';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const FIXTURES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'fixtures', 'appointy');
+
+export const FIXTURE_EMAIL = 'parent@example.com';
+export const FIXTURE_PASSWORD = 'correct horse';
+
+function fixture(name) {
+  return fs.readFileSync(path.join(FIXTURES_DIR, name), 'utf8');
+}
+
+function readForm(req) {
+  return new Promise(resolve => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => resolve(Object.fromEntries(new URLSearchParams(body))));
+  });
+}
+
+// A stand-in for one Appointy booking site, replaying the recorded pages:
+//   /portlandme/my-bookings          bookings, or a redirect to the login page
+//   /portlandme/login                step one (email), then
+//   /portlandme/login/password       step two (password), sets the session cookie
+//   /portlandme/login/verify         step three when checkCode is given
+//   /portlandme/api/bookings?page=N  the bookings JSON (the 'api' variant only)
+//   /portlandme/api/appointment-reminders  an unrelated, always empty list
+// variant picks the bookings page: 'api' loads JSON, 'page' renders cards and
+// lazy-loads more on scroll, 'empty' only shows the "no bookings" message and
+// 'unrecognized' shows neither bookings nor that message.
+// checkCode(code) turns on the verification-code step and decides which codes
+// it accepts.
+export async function startFixtureServer({ variant = 'api', checkCode = null } = {}) {
+  const requests = [];
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const loggedIn = /(?:^|;\s*)fixture_session=ok/.test(req.headers.cookie || '');
+    requests.push(`${req.method} ${url.pathname}${url.search}`);
+
+    const send = (status, type, body, headers = {}) => {
+      res.writeHead(status, { 'Content-Type': type, ...headers });
+      res.end(body);
+    };
+    const redirect = (location, headers = {}) => send(302, 'text/plain', '', { Location: location, ...headers });
+
+    if (url.pathname === '/portlandme/my-bookings') {
+      if (!loggedIn) return redirect('/portlandme/login');
+      return send(200, 'text/html', fixture(`my-bookings-${variant}.html`));
+    }
+
+    if (url.pathname === '/portlandme/login') {
+      if (req.method === 'POST') {
+        const form = await readForm(req);
+        if (form.email !== FIXTURE_EMAIL) return send(200, 'text/html', fixture('login.html'));
+        return redirect('/portlandme/login/password');
+      }
+      return send(200, 'text/html', fixture('login.html'));
+    }
+
+    if (url.pathname === '/portlandme/login/password') {
+      if (req.method === 'POST') {
+        const form = await readForm(req);
+        if (form.password === FIXTURE_PASSWORD && checkCode) return redirect('/portlandme/login/verify');
+        if (form.password === FIXTURE_PASSWORD) {
+          return redirect('/portlandme/my-bookings', { 'Set-Cookie': 'fixture_session=ok; Path=/; HttpOnly' });
+        }
+        return send(200, 'text/html', fixture('login-password.html').replace('{{error}}', 'Incorrect password'));
+      }
+      return send(200, 'text/html', fixture('login-password.html').replace('{{error}}', ''));
+    }
+
+    if (url.pathname === '/portlandme/login/verify' && checkCode) {
+      if (req.method === 'POST') {
+        const form = await readForm(req);
+        if (checkCode(form.code)) {
+          return redirect('/portlandme/my-bookings', { 'Set-Cookie': 'fixture_session=ok; Path=/; HttpOnly' });
+        }
+        return send(200, 'text/html', fixture('login-verify.html').replace('{{error}}', 'That code is not valid'));
+      }
+      return send(200, 'text/html', fixture('login-verify.html').replace('{{error}}', ''));
+    }
+
+    if (url.pathname === '/portlandme/api/bookings' && variant === 'api') {
+      if (!loggedIn) return send(401, 'application/json', '{"success":false}');
+      const page = parseInt(url.searchParams.get('page')) || 1;
+      const file = path.join('api', `bookings-page-${page}.json`);
+      if (!fs.existsSync(path.join(FIXTURES_DIR, file))) return send(404, 'application/json', '{}');
+      return send(200, 'application/json', fixture(file));
+    }
+
+    if (url.pathname === '/portlandme/api/appointment-reminders') {
+      return send(200, 'application/json', '{"success":true,"data":[]}');
+    }
+
+    send(404, 'text/plain', 'Not found');
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  return {
+    baseUrl,
+    bookingUrl: `${baseUrl}/portlandme/my-bookings`,
+    requests,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+// Recorded API payloads, for tests that don't need a browser
+export function loadApiFixture(page) {
+  return JSON.parse(fixture(path.join('api', `bookings-page-${page}.json`)));
+}
@@ -0,0 +1,75 @@
+import './helpers/env.js';
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import ICAL from 'ical.js';
+import { parseAppointmentData } from '../src/scraper.js';
+import { findBookings } from '../src/api-capture.js';
+import { mergeAppointments } from '../src/changes.js';
+import { generateICS } from '../src/feed.js';
+import { loadApiFixture } from './helpers/fixture-server.js';
+
+const TIMEZONE = 'America/New_York';
+
+function fixtureAppointments() {
+  const raw = [...findBookings(loadApiFixture(1)), ...findBookings(loadApiFixture(2))];
+  const scraped = raw.map(r => parseAppointmentData(r, TIMEZONE));
+  return mergeAppointments('fixture', [], scraped).appointments;
+}
+
+function events(ics) {
+  return new ICAL.Component(ICAL.parse(ics)).getAllSubcomponents('vevent');
+}
+
+describe('generateICS', () => {
+  const appointments = fixtureAppointments();
+  const ics = generateICS(appointments, { name: 'Fixture Calendar', timezone: TIMEZONE, ttl: 30 * 60 });
+  const vevents = events(ics);
+
+  test('writes one event per booking with its stable UID', () => {
+    assert.equal(vevents.length, 3);
+    assert.deepEqual(vevents.map(e => e.getFirstPropertyValue('uid')), appointments.map(a => a.uid));
+  });
+
+  test('writes times in the source timezone with a VTIMEZONE', () => {
+    assert.match(ics, /BEGIN:VTIMEZONE\r\nTZID:America\/New_York/);
+    assert.match(ics, /DTSTART;TZID=America\/New_York:20260108T160000/);
+    assert.match(ics, /DTEND;TZID=America\/New_York:20260108T170000/);
+    assert.match(ics, /DTSTART;TZID=America\/New_York:20260309T150000/);
+  });
+
+  test('stamps events in UTC', () => {
+    assert.match(ics, /DTSTAMP:\d{8}T\d{6}Z/);
+  });
+
+  test('renders the same bytes for the same data', () => {
+    assert.equal(generateICS(appointments, { name: 'Fixture Calendar', timezone: TIMEZONE, ttl: 30 * 60 }), ics);
+  });
+
+  test('suggests the refresh interval', () => {
+    assert.match(ics, /REFRESH-INTERVAL;VALUE=DURATION:PT30M/);
+    assert.match(ics, /X-PUBLISHED-TTL:PT30M/);
+  });
+
+  test('marks cancelled bookings and gives them no reminder', () => {
+    const cancelled = vevents.find(e => e.getFirstPropertyValue('status') === 'CANCELLED');
+    assert.ok(cancelled);
+    assert.match(cancelled.getFirstPropertyValue('summary'), /^Cancelled: /);
+    assert.equal(cancelled.getAllSubcomponents('valarm').length, 0);
+  });
+
+  test('reminds an hour before by default', () => {
+    const [scheduled] = vevents;
+    const [alarm] = scheduled.getAllSubcomponents('valarm');
+    assert.equal(alarm.getFirstPropertyValue('trigger').toString(), '-PT1H');
+  });
+
+  test('applies the title template and alarm settings', () => {
+    const custom = events(generateICS(appointments, {
+      name: 'Fixture Calendar',
+      timezone: TIMEZONE,
+      events: { summaryTemplate: '{student}: {service} with {staff}', alarmMinutes: [24 * 60, 15], travelMinutes: 15 }
+    }));
+    assert.equal(custom[0].getFirstPropertyValue('summary'), 'Alex Doe: Math Tutoring with Jane Smith');
+    assert.deepEqual(custom[0].getAllSubcomponents('valarm').map(a => a.getFirstPropertyValue('trigger').toString()), ['-P1DT15M', '-PT30M']);
+  });
+});
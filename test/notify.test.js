@@ -0,0 +1,134 @@
+import './helpers/env.js';
+import { describe, test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { buildMessages, deliver } from '../src/notify.js';
+
+const SOURCE = { id: 'alex', calendarName: 'Alex', timezone: 'America/New_York' };
+
+function appointment(fields = {}) {
+  return {
+    uid: 'abc@appointy-calendar-sync',
+    title: 'Math Tutoring',
+    service: 'Math Tutoring',
+    staff: 'Jane Smith',
+    student: 'Alex Doe',
+    location: '123 Main St',
+    status: 'scheduled',
+    start: new Date('2026-01-08T21:00:00Z'),
+    end: new Date('2026-01-08T22:00:00Z'),
+    ...fields
+  };
+}
+
+const rescheduled = {
+  ...appointment({ start: new Date('2026-01-09T21:00:00Z'), end: new Date('2026-01-09T22:00:00Z') }),
+  from: appointment()
+};
+
+// Stands in for the webhook receiver, ntfy and Gotify: answers 200 and keeps
+// every request it gets
+function startReceiver() {
+  const received = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      received.push({ url: req.url, headers: req.headers, body: JSON.parse(body) });
+      res.end('{}');
+    });
+  });
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve({
+    baseUrl: `http://127.0.0.1:${server.address().port}`,
+    received,
+    close: () => new Promise(done => server.close(done))
+  })));
+}
+
+describe('buildMessages', () => {
+  test('describes added, rescheduled and cancelled bookings in the source timezone', () => {
+    const messages = buildMessages(SOURCE, {
+      added: [appointment()],
+      rescheduled: [rescheduled],
+      updated: [appointment({ staff: 'Sam Lee' })],
+      cancelled: [appointment({ status: 'cancelled' })]
+    });
+
+    assert.deepEqual(messages.map(m => m.event), ['appointment.added', 'appointment.rescheduled', 'appointment.cancelled']);
+    assert.deepEqual(messages.map(m => m.title), ['New session: Math Tutoring', 'Session moved: Math Tutoring', 'Session cancelled: Math Tutoring']);
+    // Some ICU versions put a narrow no-break space before AM/PM
+    const text = messages.map(m => m.text.replace(/\u202f/g, ' '));
+    assert.equal(text[0], [
+      'Math Tutoring - Jan 8, 2026, 4:00 PM',
+      'For: Alex Doe',
+      'With: Jane Smith',
+      'At: 123 Main St',
+      'Account: Alex'
+    ].join('\n'));
+    assert.match(text[1], /^Math Tutoring - Jan 9, 2026, 4:00 PM\nWas: Jan 8, 2026, 4:00 PM\n/);
+    assert.equal(messages[1].previous.start, '2026-01-08T21:00:00.000Z');
+    assert.equal(messages[0].previous, null);
+    assert.deepEqual(messages[2].source, { id: 'alex', name: 'Alex' });
+  });
+});
+
+describe('delivery', () => {
+  let receiver;
+  before(async () => { receiver = await startReceiver(); });
+  after(() => receiver.close());
+
+  test('posts the webhook JSON with the booking and what it was before', async () => {
+    receiver.received.length = 0;
+    const [message] = buildMessages(SOURCE, { rescheduled: [rescheduled] });
+    const failures = await deliver({ webhookUrl: `${receiver.baseUrl}/hooks/appointy` }, [message]);
+
+    assert.deepEqual(failures, []);
+    const [{ url, headers, body }] = receiver.received;
+    assert.equal(url, '/hooks/appointy');
+    assert.equal(headers['content-type'], 'application/json');
+    assert.equal(body.event, 'appointment.rescheduled');
+    assert.deepEqual(body.source, { id: 'alex', name: 'Alex' });
+    assert.deepEqual(body.appointment, {
+      uid: 'abc@appointy-calendar-sync',
+      title: 'Math Tutoring',
+      service: 'Math Tutoring',
+      staff: 'Jane Smith',
+      student: 'Alex Doe',
+      location: '123 Main St',
+      status: 'scheduled',
+      start: '2026-01-09T21:00:00.000Z',
+      end: '2026-01-09T22:00:00.000Z'
+    });
+    assert.equal(body.previous.start, '2026-01-08T21:00:00.000Z');
+    assert.ok(!isNaN(Date.parse(body.sentAt)));
+  });
+
+  test('posts Gotify messages to /message with the app token', async () => {
+    receiver.received.length = 0;
+    const failures = await deliver({ gotifyUrl: `${receiver.baseUrl}/gotify/`, gotifyToken: 'AppToken' }, [{ title: 'New session: Math', text: 'Thursday' }]);
+
+    assert.deepEqual(failures, []);
+    const [{ url, headers, body }] = receiver.received;
+    assert.equal(url, '/gotify/message');
+    assert.equal(headers['x-gotify-key'], 'AppToken');
+    assert.deepEqual(body, { title: 'New session: Math', message: 'Thursday', priority: 5 });
+  });
+
+  test('publishes ntfy titles that are not Latin-1 as JSON to the server', async () => {
+    receiver.received.length = 0;
+    const settings = { ntfyUrl: `${receiver.baseUrl}/ntfy/kids-calendar`, ntfyToken: 'tk_test' };
+    const failures = await deliver(settings, [{ title: 'Rescheduled: Math – Tutoring 📚', text: 'Now Thursday' }]);
+
+    assert.deepEqual(failures, []);
+    const [{ url, headers, body }] = receiver.received;
+    assert.equal(url, '/ntfy');
+    assert.equal(headers.authorization, 'Bearer tk_test');
+    assert.deepEqual(body, { topic: 'kids-calendar', title: 'Rescheduled: Math – Tutoring 📚', message: 'Now Thursday', tags: ['calendar'] });
+  });
+
+  test('reports targets that fail', async () => {
+    const failures = await deliver({ webhookUrl: 'http://127.0.0.1:1/unreachable' }, [{ title: 'x', text: 'y' }]);
+    assert.equal(failures.length, 1);
+    assert.match(failures[0], /^webhook: /);
+  });
+});
@@ -0,0 +1,121 @@
+import './helpers/env.js';
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseAppointmentData } from '../src/scraper.js';
+import { findBookings, isEmptyBookingList, isBookingsEndpoint } from '../src/api-capture.js';
+import { loadApiFixture } from './helpers/fixture-server.js';
+
+// Card fields as extractAppointments() reads them from "Thu | Jan 08, 26 ... 4:00pm - 5:00pm"
+function card(fields) {
+  return { dayName: 'Thu', month: 'Jan', day: '08', year: '2026', hour: '4', minute: '00', ampm: 'pm', ...fields };
+}
+
+describe('parseAppointmentData: booking cards', () => {
+  test('reads wall-clock times in the source timezone', () => {
+    const apt = parseAppointmentData(card({ endHour: '5', endMinute: '00', endAmpm: 'pm' }), 'America/New_York');
+    assert.equal(apt.start.toISOString(), '2026-01-08T21:00:00.000Z');
+    assert.equal(apt.end.toISOString(), '2026-01-08T22:00:00.000Z');
+  });
+
+  test('follows daylight saving time', () => {
+    const apt = parseAppointmentData(card({ month: 'Mar', day: '09', hour: '3' }), 'America/New_York');
+    assert.equal(apt.start.toISOString(), '2026-03-09T19:00:00.000Z');
+  });
+
+  test('uses the timezone it is given', () => {
+    const apt = parseAppointmentData(card({}), 'America/Los_Angeles');
+    assert.equal(apt.start.toISOString(), '2026-01-09T00:00:00.000Z');
+  });
+
+  test('prefers the printed end time, then the duration, then 60 minutes', () => {
+    const withDuration = parseAppointmentData(card({ durationMinutes: 45 }), 'America/New_York');
+    assert.equal(withDuration.end - withDuration.start, 45 * 60 * 1000);
+
+    const withNothing = parseAppointmentData(card({}), 'America/New_York');
+    assert.equal(withNothing.end - withNothing.start, 60 * 60 * 1000);
+
+    const pastMidnight = parseAppointmentData(card({ hour: '11', minute: '30', endHour: '12', endMinute: '30', endAmpm: 'am' }), 'America/New_York');
+    assert.equal(pastMidnight.end - pastMidnight.start, 60 * 60 * 1000);
+  });
+
+  test('carries the card details and normalises the status', () => {
+    const apt = parseAppointmentData(card({
+      service: 'Math Tutoring', staff: 'Jane Smith', student: 'Alex Doe', location: '123 Main St', status: 'Canceled'
+    }), 'America/New_York');
+    assert.equal(apt.title, 'Math Tutoring');
+    assert.equal(apt.staff, 'Jane Smith');
+    assert.equal(apt.student, 'Alex Doe');
+    assert.equal(apt.location, '123 Main St');
+    assert.equal(apt.status, 'cancelled');
+  });
+
+  test('falls back to a generic title and scheduled status', () => {
+    const apt = parseAppointmentData(card({}), 'America/New_York');
+    assert.equal(apt.title, 'Appointment');
+    assert.equal(apt.status, 'scheduled');
+  });
+
+  test('takes the fallback title from the source defaults', () => {
+    const apt = parseAppointmentData(card({}), 'America/New_York', { title: 'Mathnasium Session' });
+    assert.equal(apt.title, 'Mathnasium Session');
+  });
+
+  test('skips cards it cannot read', () => {
+    assert.equal(parseAppointmentData(card({ month: 'Foo' }), 'America/New_York'), null);
+  });
+});
+
+describe('parseAppointmentData: recorded bookings API payloads', () => {
+  const [first, second] = findBookings(loadApiFixture(1));
+  const [third] = findBookings(loadApiFixture(2));
+
+  test('finds every booking in the payload', () => {
+    assert.deepEqual([first.bookingId, second.bookingId, third.bookingId], ['BK-1001', 'BK-1002', 'BK-1003']);
+  });
+
+  test('reads names out of nested objects', () => {
+    assert.equal(first.service, 'Math Tutoring');
+    assert.equal(first.staff, 'Jane Smith');
+    assert.equal(first.student, 'Alex Doe');
+    assert.equal(first.location, 'Mathnasium of Portland');
+  });
+
+  test('treats offset-less date-times as local to the source', () => {
+    const apt = parseAppointmentData(first, 'America/New_York');
+    assert.equal(apt.bookingId, 'BK-1001');
+    assert.equal(apt.start.toISOString(), '2026-01-08T21:00:00.000Z');
+    assert.equal(apt.end.toISOString(), '2026-01-08T22:00:00.000Z');
+    assert.equal(apt.status, 'scheduled');
+  });
+
+  test('uses the duration when there is no end time', () => {
+    const apt = parseAppointmentData(third, 'America/New_York');
+    assert.equal(apt.start.toISOString(), '2026-03-09T19:00:00.000Z');
+    assert.equal(apt.end - apt.start, 90 * 60 * 1000);
+    assert.equal(apt.status, 'cancelled');
+  });
+});
+
+describe('isEmptyBookingList', () => {
+  test('recognises an empty bookings list anywhere in the payload', () => {
+    assert.equal(isEmptyBookingList({ success: true, data: { bookings: [], total: 0 } }), true);
+    assert.equal(isEmptyBookingList({ appointments: [] }), true);
+  });
+
+  test('ignores generic and unrelated empty arrays and non-empty lists', () => {
+    assert.equal(isEmptyBookingList({ success: true, data: [] }), false);
+    assert.equal(isEmptyBookingList({ promotions: { items: [] } }), false);
+    assert.equal(isEmptyBookingList({ errors: [], user: { tags: [] } }), false);
+    assert.equal(isEmptyBookingList(loadApiFixture(1)), false);
+    assert.equal(isEmptyBookingList([]), false);
+  });
+});
+
+describe('isBookingsEndpoint', () => {
+  test('matches the bookings endpoint, not everything on a booking host', () => {
+    assert.equal(isBookingsEndpoint('https://portlandme-booking.appointy.com/api/v1/bookings?page=2'), true);
+    assert.equal(isBookingsEndpoint('https://portlandme-booking.appointy.com/api/appointments/'), true);
+    assert.equal(isBookingsEndpoint('https://portlandme-booking.appointy.com/api/v1/notifications'), false);
+    assert.equal(isBookingsEndpoint('https://portlandme-booking.appointy.com/api/appointment-reminders'), false);
+  });
+});
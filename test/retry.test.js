@@ -0,0 +1,55 @@
+import './helpers/env.js';
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { retryDelay, isTransientError } from '../src/scraper.js';
+import { startRun, finishRun, scrapePause } from '../src/runs.js';
+import { runScrape } from '../src/scheduler.js';
+
+describe('retries', () => {
+  test('back off exponentially with jitter', () => {
+    for (let i = 0; i < 20; i++) {
+      const first = retryDelay(1, 1000);
+      const third = retryDelay(3, 1000);
+      assert.ok(first >= 500 && first <= 1000, `${first}`);
+      assert.ok(third >= 2000 && third <= 4000, `${third}`);
+    }
+  });
+
+  test('only repeat navigation and connection failures', () => {
+    assert.equal(isTransientError(new Error('Navigation timeout of 60000 ms exceeded')), true);
+    assert.equal(isTransientError(new Error('net::ERR_CONNECTION_RESET at https://booking.appointy.com/')), true);
+    assert.equal(isTransientError(new Error('Protocol error (Runtime.callFunctionOn): Target closed')), true);
+    assert.equal(isTransientError(new Error('Waiting for selector `input[type="password"]` failed')), false);
+    assert.equal(isTransientError(new Error('No verification code entered within 10 minutes')), false);
+  });
+});
+
+describe('circuit breaker', () => {
+  const source = { id: 'breaker-test', calendarName: 'Breaker' };
+  const fail = () => finishRun(startRun(source, 'test'), { outcome: 'failed', reason: 'challenge', error: 'Cloudflare challenge' });
+
+  test('pauses a source after three failed runs in a row', async () => {
+    fail();
+    fail();
+    assert.equal(scrapePause(source.id), null);
+
+    fail();
+    const pause = scrapePause(source.id);
+    assert.equal(pause.failures, 3);
+    assert.ok(Math.abs(pause.until - Date.now() - 60 * 60 * 1000) < 5000);
+
+    await assert.rejects(runScrape(source, 'scheduled'), /paused until/);
+  });
+
+  test('doubles the pause with every further failure', () => {
+    fail();
+    const pause = scrapePause(source.id);
+    assert.equal(pause.failures, 4);
+    assert.ok(Math.abs(pause.until - Date.now() - 2 * 60 * 60 * 1000) < 5000);
+  });
+
+  test('closes again after a successful run', () => {
+    finishRun(startRun(source, 'manual'), { outcome: 'success', appointments: 0 });
+    assert.equal(scrapePause(source.id), null);
+  });
+});
@@ -0,0 +1,172 @@
+import './helpers/env.js';
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { scrapeAppointments, parseAppointmentData, testSelectors } from '../src/scraper.js';
+import { mergeAppointments } from '../src/changes.js';
+import { generateICS } from '../src/feed.js';
+import { startRun, ScrapeError } from '../src/runs.js';
+import { totp } from '../src/verification.js';
+import { startFixtureServer, FIXTURE_EMAIL, FIXTURE_PASSWORD } from './helpers/fixture-server.js';
+import { browserUnavailable } from './helpers/browser.js';
+
+// End-to-end: real Chromium against the recorded Appointy pages on a local
+// server. Skipped (with the reason) where no working Chromium is installed.
+const skip = await browserUnavailable();
+
+function fixtureSource(id, bookingUrl) {
+  return {
+    id,
+    calendarName: 'Fixture',
+    appointyEmail: FIXTURE_EMAIL,
+    appointyPassword: FIXTURE_PASSWORD,
+    appointyBookingUrl: bookingUrl,
+    timezone: 'America/New_York'
+  };
+}
+
+describe('scrapeAppointments against recorded pages', { skip, timeout: 5 * 60 * 1000 }, () => {
+  test('logs in over two steps and reads the lazy-loaded bookings API', async () => {
+    const server = await startFixtureServer({ variant: 'api' });
+    try {
+      const source = fixtureSource('fixture-api', server.bookingUrl);
+      const run = startRun(source, 'test');
+      const raw = await scrapeAppointments(source, run);
+
+      assert.equal(run.loginPath, 'password login');
+      assert.equal(run.method, 'bookings API');
+      assert.ok(server.requests.includes('POST /portlandme/login'));
+      assert.ok(server.requests.includes('POST /portlandme/login/password'));
+      assert.ok(server.requests.includes('GET /portlandme/api/bookings?page=2'), 'loads the second page');
+      assert.deepEqual(raw.map(r => r.bookingId).sort(), ['BK-1001', 'BK-1002', 'BK-1003']);
+
+      const scraped = raw.map(r => parseAppointmentData(r, source.timezone));
+      const ics = generateICS(mergeAppointments(source.id, [], scraped).appointments, { name: 'Fixture', timezone: source.timezone });
+      assert.equal(ics.match(/BEGIN:VEVENT/g).length, 3);
+      assert.match(ics, /DTSTART;TZID=America\/New_York:20260108T160000/);
+    } finally {
+      await server.close();
+    }
+  });
+
+  test('reuses the saved session on the next scrape', async () => {
+    const server = await startFixtureServer({ variant: 'api' });
+    try {
+      // Same source id as above, so the session saved by that scrape is restored
+      const source = fixtureSource('fixture-api', server.bookingUrl);
+      const run = startRun(source, 'test');
+      const raw = await scrapeAppointments(source, run);
+
+      assert.equal(run.loginPath, 'saved session');
+      assert.ok(!server.requests.some(r => r.startsWith('POST /portlandme/login')));
+      assert.equal(raw.length, 3);
+    } finally {
+      await server.close();
+    }
+  });
+
+  test('enters the verification code the site asks for after the password', async () => {
+    const totpSecret = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+    const checkCode = code => [Date.now(), Date.now() - 30 * 1000].some(time => totp(totpSecret, time) === code);
+    const server = await startFixtureServer({ variant: 'api', checkCode });
+    try {
+      const source = { ...fixtureSource('fixture-verify', server.bookingUrl), verification: { method: 'totp', totpSecret } };
+      const run = startRun(source, 'test');
+      const raw = await scrapeAppointments(source, run);
+
+      assert.equal(run.loginPath, 'password login with verification code');
+      assert.ok(server.requests.includes('POST /portlandme/login/verify'));
+      assert.equal(raw.length, 3);
+    } finally {
+      await server.close();
+    }
+  });
+
+  test('falls back to card text and scrolls until every card is loaded', async () => {
+    const server = await startFixtureServer({ variant: 'page' });
+    try {
+      const source = fixtureSource('fixture-page', server.bookingUrl);
+      const run = startRun(source, 'test');
+      const raw = await scrapeAppointments(source, run);
+
+      assert.equal(run.method, 'page text');
+      assert.equal(raw.length, 7, 'all lazy-loaded cards are read');
+
+      const scraped = raw.map(r => parseAppointmentData(r, source.timezone));
+      const [first] = scraped;
+      assert.equal(first.service, 'Math Tutoring');
+      assert.equal(first.staff, 'Jane Smith');
+      assert.equal(first.student, 'Alex Doe');
+      assert.equal(first.location, '123 Main St');
+      assert.equal(first.start.toISOString(), '2026-01-08T21:00:00.000Z');
+
+      const homework = scraped.find(a => a.service === 'Homework Help');
+      assert.equal(homework.end - homework.start, 45 * 60 * 1000);
+      assert.equal(scraped.filter(a => a.status === 'cancelled').length, 1);
+    } finally {
+      await server.close();
+    }
+  });
+});
+
+describe('scrapeAppointments outcomes', { skip, timeout: 5 * 60 * 1000 }, () => {
+  test('returns no bookings only when the site says there are none', async () => {
+    const server = await startFixtureServer({ variant: 'empty' });
+    try {
+      const source = fixtureSource('fixture-empty', server.bookingUrl);
+      const run = startRun(source, 'test');
+      const raw = await scrapeAppointments(source, run);
+
+      assert.deepEqual(raw, []);
+      assert.equal(run.reason, 'no_bookings');
+    } finally {
+      await server.close();
+    }
+  });
+
+  test('does not take an unrelated empty list as confirmation', async () => {
+    const server = await startFixtureServer({ variant: 'unrecognized' });
+    try {
+      const source = fixtureSource('fixture-unrecognized', server.bookingUrl);
+      const run = startRun(source, 'test');
+
+      await assert.rejects(scrapeAppointments(source, run), error => {
+        assert.equal(error.reason, 'layout_unrecognized');
+        return true;
+      });
+      assert.ok(server.requests.includes('GET /portlandme/api/appointment-reminders'));
+      assert.notEqual(run.reason, 'no_bookings');
+    } finally {
+      await server.close();
+    }
+  });
+
+  test('fails with login_failed when the password is rejected', async () => {
+    const server = await startFixtureServer({ variant: 'page' });
+    try {
+      const source = { ...fixtureSource('fixture-bad-password', server.bookingUrl), appointyPassword: 'wrong' };
+      const run = startRun(source, 'test');
+
+      await assert.rejects(scrapeAppointments(source, run), error => {
+        assert.ok(error instanceof ScrapeError);
+        assert.equal(error.reason, 'login_failed');
+        assert.match(error.message, /Incorrect password/);
+        return true;
+      });
+    } finally {
+      await server.close();
+    }
+  });
+});
+
+describe('testSelectors against a saved page', { skip, timeout: 2 * 60 * 1000 }, () => {
+  test('reports what each selector matched and the bookings it reads', async () => {
+    const html = fs.readFileSync(new URL('./fixtures/appointy/login.html', import.meta.url), 'utf8');
+    const report = await testSelectors(fixtureSource('fixture-selectors', 'http://localhost/'), html);
+
+    const check = key => report.checks.find(c => c.key === key);
+    assert.ok(check('emailInputs').matches > 0);
+    assert.equal(check('bookingElements').matches, 0);
+    assert.equal(report.bookings.length, 0);
+  });
+});
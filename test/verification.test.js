@@ -0,0 +1,59 @@
+import './helpers/env.js';
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { totp, isValidTotpSecret, getVerificationCode, isAwaitingCode, provideCode, codeFromMatch, DEFAULT_CODE_PATTERN } from '../src/verification.js';
+
+// RFC 6238 test secret: ASCII "12345678901234567890" in base32
+const SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+describe('TOTP codes', () => {
+  test('match the RFC 6238 test vectors', () => {
+    assert.equal(totp(SECRET, 59 * 1000, 8), '94287082');
+    assert.equal(totp(SECRET, 1111111109 * 1000, 8), '07081804');
+    assert.equal(totp(SECRET, 2000000000 * 1000, 8), '69279037');
+  });
+
+  test('accept the otpauth:// URI and loosely formatted secrets', () => {
+    const uri = `otpauth://totp/Appointy:me@example.com?secret=${SECRET}&issuer=Appointy`;
+    assert.equal(totp(uri, 59 * 1000), '287082');
+    assert.equal(totp(SECRET.toLowerCase().match(/.{4}/g).join(' '), 59 * 1000), '287082');
+  });
+
+  test('reject secrets that are not base32', () => {
+    assert.equal(isValidTotpSecret(SECRET), true);
+    assert.equal(isValidTotpSecret('not a secret!'), false);
+    assert.equal(isValidTotpSecret(''), false);
+  });
+});
+
+describe('codes entered in the admin panel', () => {
+  test('resume the waiting scrape', async () => {
+    const source = { id: 'verify-test', calendarName: 'Test' };
+    const run = { steps: [] };
+    const code = getVerificationCode(source, run, Date.now());
+
+    assert.equal(isAwaitingCode(source.id), true);
+    assert.equal(run.awaitingCode, true);
+    assert.equal(provideCode(source.id, ' 123456 '), true);
+    assert.equal(await code, '123456');
+    assert.equal(isAwaitingCode(source.id), false);
+    assert.equal(run.awaitingCode, false);
+  });
+
+  test('are refused when nothing is waiting', () => {
+    assert.equal(provideCode('nobody-waiting', '123456'), false);
+  });
+});
+
+describe('emailed codes', () => {
+  const find = text => codeFromMatch(new RegExp(DEFAULT_CODE_PATTERN, 'i').exec(text));
+
+  test('take the 6-digit number next to the word "code"', () => {
+    assert.equal(find('Mathnasium, 1234 Main St, Portland ME 04101 · (207) 555-0199 · © 2026\nYour verification code is: 482913'), '482913');
+    assert.equal(find('482913 is your Appointy login code'), '482913');
+  });
+
+  test('pass over years, zip codes and phone numbers', () => {
+    assert.equal(find('Thanks for booking in 2026! Portland ME 04101, call 2075550199.'), null);
+  });
+});